@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import { parseArgs } from "util";
+import { Wappalyzer } from "../index.js";
+
+const USAGE = `Usage: wappalyzer [options] <url | file.html | ->
+
+Scan a URL, a local HTML file or HTML from stdin (\`-\`, or no argument when
+input is piped), or every URL in a file with --list.
+
+Options:
+  --list <file>           Scan the URLs in a file, one per line
+  --url <url>             Base URL of HTML from a file or stdin
+  --format <format>       table (default), json or ndjson
+  --category <category>   Only show technologies in a category, by name, slug
+                          or id; repeatable
+  --min-confidence <n>    Only show technologies with at least this confidence
+  --no-helpers            Don't run the WordPress, Shopify and Magento helpers
+  --timeout <ms>          Timeout per request (default 10000)
+  --concurrency <n>       URLs scanned at the same time with --list (default 5)
+  -h, --help              Show this help
+
+Exit codes: 0 on success, 1 when a scan fails, 2 on invalid arguments or
+nothing to scan.`;
+
+const FORMATS = ["table", "json", "ndjson"];
+
+class UsageError extends Error {}
+
+const toNumber = (value, name) => {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+
+  if (!Number.isFinite(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative number`);
+  }
+
+  return number;
+};
+
+const parse = (argv) => {
+  let parsed;
+
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        list: { type: "string" },
+        url: { type: "string" },
+        format: { type: "string", default: "table" },
+        category: { type: "string", multiple: true, default: [] },
+        "min-confidence": { type: "string" },
+        "no-helpers": { type: "boolean", default: false },
+        timeout: { type: "string" },
+        concurrency: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  }
+
+  if (positionals.length > 1 || (values.list && positionals.length)) {
+    throw new UsageError("Scan one URL, file or --list at a time");
+  }
+
+  const concurrency = toNumber(values.concurrency, "concurrency");
+
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || !concurrency)) {
+    throw new UsageError("--concurrency must be a positive integer");
+  }
+
+  return {
+    help: values.help,
+    input: positionals[0],
+    list: values.list,
+    url: values.url,
+    format: values.format,
+    categories: values.category.map((category) => category.toLowerCase()),
+    minConfidence: toNumber(values["min-confidence"], "min-confidence") || 0,
+    helpers: !values["no-helpers"],
+    timeout: toNumber(values.timeout, "timeout"),
+    concurrency: concurrency || 5,
+  };
+};
+
+const readStdin = async () => {
+  const chunks = [];
+
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+const fileExists = (path) =>
+  fs.stat(path).then(
+    (stats) => stats.isFile(),
+    () => false
+  );
+
+/**
+ * Drop technologies filtered out by `--category` and `--min-confidence`.
+ */
+const filterResult = (result, { categories, minConfidence }) =>
+  result.error
+    ? result
+    : {
+      ...result,
+      technologies: result.technologies.filter(
+        (technology) =>
+          technology.confidence >= minConfidence &&
+          (!categories.length ||
+            technology.categories.some(({ id, name, slug }) =>
+              [String(id), name.toLowerCase(), slug].some((value) =>
+                categories.includes(value)
+              )
+            ))
+      ),
+    };
+
+const formatTable = (technologies) => {
+  const rows = [
+    ["Technology", "Version", "Confidence", "Categories"],
+    ...technologies.map(({ name, version, confidence, categories }) => [
+      name,
+      version || "",
+      `${confidence}%`,
+      categories.map(({ name }) => name).join(", "),
+    ]),
+  ];
+
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+};
+
+/**
+ * Print one scan result. `source` is the URL or file that was scanned.
+ */
+const print = ({ source, result }, format, multiple) => {
+  if (format === "ndjson") {
+    process.stdout.write(`${JSON.stringify({ source, ...result })}\n`);
+  } else if (format === "table") {
+    if (multiple) process.stdout.write(`\n${source}\n`);
+
+    if (result.error) {
+      process.stderr.write(`${source}: ${result.error}\n`);
+    } else if (!result.technologies.length) {
+      process.stdout.write("No technologies detected\n");
+    } else {
+      process.stdout.write(`${formatTable(result.technologies)}\n`);
+    }
+  }
+};
+
+const main = async (argv) => {
+  const options = parse(argv);
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const wappalyzer = new Wappalyzer();
+  const scanOptions = { helpers: options.helpers };
+  const results = [];
+  let multiple = false;
+
+  const add = (item) => {
+    const filtered = { source: item.source, result: filterResult(item.result, options) };
+
+    results.push(filtered);
+    print(filtered, options.format, multiple);
+  };
+
+  if (options.list) {
+    const urls = (await fs.readFile(options.list, "utf8"))
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+
+    multiple = true;
+
+    for await (const { input, result } of wappalyzer.scanMany(urls, {
+      ...scanOptions,
+      concurrency: options.concurrency,
+      timeout: options.timeout,
+    })) {
+      add({ source: input, result });
+    }
+  } else if (
+    options.input === "-" ||
+    (options.input === undefined && !process.stdin.isTTY)
+  ) {
+    const html = await readStdin();
+
+    // Nothing piped, e.g. run from a script or cron without input
+    if (!html.trim()) {
+      throw new UsageError(
+        options.input === "-" ? "No HTML on stdin" : "Missing a URL, file or --list"
+      );
+    }
+
+    add({
+      source: "stdin",
+      result: await wappalyzer.scanHTML(html, {
+        ...scanOptions,
+        url: options.url,
+      }),
+    });
+  } else if (options.input === undefined) {
+    throw new UsageError("Missing a URL, file or --list");
+  } else if (await fileExists(options.input)) {
+    add({
+      source: options.input,
+      result: await wappalyzer.scanHTML(await fs.readFile(options.input, "utf8"), {
+        ...scanOptions,
+        url: options.url,
+      }),
+    });
+  } else {
+    add({
+      source: options.input,
+      result: await wappalyzer.scanURL(options.input, {
+        ...scanOptions,
+        timeout: options.timeout,
+      }),
+    });
+  }
+
+  if (options.format === "json") {
+    const output = results.map(({ source, result }) => ({ source, ...result }));
+
+    process.stdout.write(
+      `${JSON.stringify(multiple ? output : output[0], null, 2)}\n`
+    );
+  }
+
+  return results.some(({ result }) => result.error) ? 1 : 0;
+};
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(
+      error instanceof UsageError
+        ? `${error.message}\n\n${USAGE}\n`
+        : `${error.message}\n`
+    );
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+  }
+);
@@ -1,11 +1,145 @@
-import { extractTechnologiesFromPage, extractTechnologiesFromHTML } from "./src/scrape.js";
+import {
+  extractTechnologiesFromPage,
+  extractTechnologiesFromHTML,
+  extractTechnologiesFromURL,
+  extractTechnologiesFromHAR,
+  extractTechnologiesFromWARC,
+  trackNavigation,
+  getFrameNetwork,
+} from "./src/scrape.js";
+import matchInWorker from "./src/matchInWorker.js";
+import { extractLinks, fetchSitemap, pageKey } from "./src/crawl.js";
+import * as cheerio from "cheerio";
+import fs from "fs/promises";
+import normalizeCookies from "./src/utils/normalizeCookies.js";
+import normalizeHeaders from "./src/utils/normalizeHeaders.js";
+import getDomain from "./src/utils/getDomain.js";
+import normalizeURL from "./src/utils/normalizeURL.js";
 import { load_technologies } from "./src/technologies/__loader.js";
 import categories from "./src/categories.json" with { type: "json" };
-import WappalyzerCore from "./src/wappalyzer.js";
+import { createWappalyzer } from "./src/wappalyzer.js";
+import { WappalyzerPool } from "./src/pool.js";
+
+// The fingerprint files are read once and shared, read-only, by all instances
+let defaultTechnologies = null;
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+// Pattern strings carry attributes after `\;`, e.g. "PHP\;confidence:50"
+const referenceName = (pattern) => String(pattern).split("\\;")[0];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Key identifying a `scanMany` input in the checkpoint file: its `id`, else
+ * its URL, else its position in the inputs.
+ *
+ * @param {string|object} input
+ * @param {number} index
+ * @returns {string}
+ */
+const inputKey = (input, index) =>
+  String(
+    typeof input === "string" ? input : (input?.id ?? input?.url ?? `#${index}`)
+  );
+
+/**
+ * Read the keys of inputs completed by a previous `scanMany` run. The file
+ * holds one JSON string per line; a line cut short by an interrupted write is
+ * ignored.
+ *
+ * @param {string} file
+ * @returns {Promise<Set<string>>}
+ */
+const readCheckpoint = async (file) => {
+  const content = await fs.readFile(file, "utf8").catch((error) => {
+    if (error.code === "ENOENT") return "";
+
+    throw error;
+  });
+
+  return content.split("\n").reduce((keys, line) => {
+    try {
+      if (line) keys.add(JSON.parse(line));
+    } catch (error) {
+      // Incomplete line
+    }
+
+    return keys;
+  }, new Set());
+};
+
+/**
+ * Drop technologies along with technologies that require them, and remove
+ * `implies` and `excludes` references to them from the rest.
+ *
+ * @param {object} data - Technologies keyed by name.
+ * @param {Set<string>} names
+ * @returns {object}
+ */
+const withoutTechnologies = (data, names) => {
+  if (!names.size) return data;
+
+  const removed = new Set(names);
+  let changed;
+
+  do {
+    changed = false;
+
+    Object.keys(data).forEach((name) => {
+      if (
+        !removed.has(name) &&
+        data[name].requires &&
+        toArray(data[name].requires).some((required) => removed.has(referenceName(required)))
+      ) {
+        removed.add(name);
+        changed = true;
+      }
+    });
+  } while (changed);
+
+  return Object.keys(data).reduce((result, name) => {
+    if (removed.has(name)) return result;
+
+    const technology = { ...data[name] };
+
+    ["implies", "excludes"].forEach((key) => {
+      if (technology[key]) {
+        technology[key] = toArray(technology[key]).filter(
+          (pattern) => !removed.has(referenceName(pattern))
+        );
+      }
+    });
+
+    result[name] = technology;
+
+    return result;
+  }, {});
+};
 
 class Wappalyzer {
   #isInitialized = false;
   #initializing = null;
+  #navigations = new WeakMap();
+  #core = createWappalyzer();
+  #technologies;
+  #categories;
+  #custom = {};
+  #disabled = new Set();
+
+  /**
+   * Each instance owns its technology and category state.
+   *
+   * @param {object} [opts]
+   * @param {object} [opts.technologies] - Fingerprints in the `src/technologies/*.json`
+   *   schema, keyed by name. Defaults to the bundled database.
+   * @param {object} [opts.categories]   - Categories in the `src/categories.json`
+   *   schema, keyed by id. Defaults to the bundled categories.
+   */
+  constructor({ technologies = null, categories: _categories = null } = {}) {
+    this.#technologies = technologies;
+    this.#categories = _categories || categories;
+  }
 
   async #initialize() {
     if (this.#isInitialized) return;
@@ -13,9 +147,24 @@ class Wappalyzer {
 
     this.#initializing = (async () => {
       try {
-        const techLib = await load_technologies();
-        await WappalyzerCore.setTechnologies(techLib);
-        await WappalyzerCore.setCategories(categories);
+        if (!this.#technologies && !defaultTechnologies) {
+          defaultTechnologies = load_technologies().catch((error) => {
+            defaultTechnologies = null;
+            throw error;
+          });
+        }
+
+        if (this.#technologies) {
+          const errors = this.#core.validateTechnologies(this.#technologies, this.#categories);
+
+          if (errors.length) {
+            throw new Error(`Invalid technologies:\n${errors.join("\n")}`);
+          }
+        }
+
+        this.#technologies = this.#technologies || (await defaultTechnologies);
+        await this.#core.setTechnologies(this.#data());
+        await this.#core.setCategories(this.#categories);
         this.#isInitialized = true;
       } catch (error) {
         throw error;
@@ -27,11 +176,366 @@ class Wappalyzer {
     return this.#initializing;
   }
 
-  async #resolve(payload) {
-    const analysis = await WappalyzerCore.analyze(payload);
-    const technologies = await WappalyzerCore.resolve({
+  /**
+   * Built-in technologies merged with custom ones, minus disabled ones.
+   */
+  #data(custom = this.#custom, disabled = this.#disabled) {
+    return withoutTechnologies({ ...this.#technologies, ...custom }, disabled);
+  }
+
+  /**
+   * Add technologies, or replace built-in ones with the same name. Definitions
+   * use the `src/technologies/*.json` schema. `implies`, `excludes`, `requires`,
+   * `cats` and `requiresCategory` must point to existing technologies and
+   * categories, and patterns must compile, otherwise nothing is changed.
+   *
+   * @param {object} technologies - Definitions keyed by technology name
+   */
+  async addTechnologies(technologies) {
+    if (!technologies || typeof technologies !== "object" || Array.isArray(technologies)) {
+      throw new Error("technologies must be an object keyed by technology name");
+    }
+
+    await this.#initialize();
+
+    const custom = { ...this.#custom, ...technologies };
+    const disabled = new Set([...this.#disabled].filter((name) => !(name in technologies)));
+    const data = this.#data(custom, disabled);
+
+    const errors = this.#core.validateTechnologies(data, this.#categories, Object.keys(technologies));
+
+    if (errors.length) {
+      throw new Error(`Invalid technologies:\n${errors.join("\n")}`);
+    }
+
+    // Only keep the new definitions once they are in use
+    this.#core.setTechnologies(data);
+    this.#custom = custom;
+    this.#disabled = disabled;
+  }
+
+  /**
+   * Stop detecting technologies. Technologies that require them are disabled
+   * too, and other technologies no longer imply or exclude them.
+   *
+   * @param {string|string[]} names
+   */
+  async disableTechnologies(names) {
+    await this.#initialize();
+
+    const data = { ...this.#technologies, ...this.#custom };
+    const unknown = toArray(names).filter((name) => !data[name]);
+
+    if (unknown.length) {
+      throw new Error(`Technology does not exist: ${unknown.join(", ")}`);
+    }
+
+    this.#disabled = new Set([...this.#disabled, ...toArray(names)]);
+    this.#core.setTechnologies(this.#data());
+  }
+
+  /**
+   * Detect previously disabled technologies again.
+   *
+   * @param {string|string[]} names
+   */
+  async enableTechnologies(names) {
+    await this.#initialize();
+
+    const enabled = new Set(toArray(names));
+
+    this.#disabled = new Set([...this.#disabled].filter((name) => !enabled.has(name)));
+    this.#core.setTechnologies(this.#data());
+  }
+
+  /**
+   * Add categories, or replace existing ones with the same id. Definitions use
+   * the `src/categories.json` schema.
+   *
+   * @param {object} categories - Definitions keyed by category id
+   */
+  async addCategories(categories) {
+    if (!categories || typeof categories !== "object" || Array.isArray(categories)) {
+      throw new Error("categories must be an object keyed by category id");
+    }
+
+    const errors = Object.keys(categories).reduce((errors, id) => {
+      if (!Number.isInteger(Number(id))) {
+        errors.push(`${id}: category id must be an integer`);
+      }
+
+      if (typeof categories[id]?.name !== "string" || !categories[id].name) {
+        errors.push(`${id}: category name must be a non-empty string`);
+      }
+
+      return errors;
+    }, []);
+
+    if (errors.length) {
+      throw new Error(`Invalid categories:\n${errors.join("\n")}`);
+    }
+
+    await this.#initialize();
+
+    this.#categories = {
+      ...this.#categories,
+      ...Object.keys(categories).reduce((result, id) => {
+        result[id] = { priority: 0, ...categories[id] };
+        return result;
+      }, {}),
+    };
+    this.#core.setCategories(this.#categories);
+  }
+
+  /**
+   * List patterns this instance blocked after exceeding the regex time budget
+   * of a scan with `regex.blocklist`.
+   *
+   * @returns {Array<{ technology: string, type: string, pattern: string, duration: number }>}
+   */
+  getBlockedPatterns() {
+    return this.#core.getBlockedPatterns();
+  }
+
+  /**
+   * Look up a technology by name or slug.
+   *
+   * @param {string} name - Name, e.g. `"Google Analytics"`, or slug, e.g. `"google-analytics"`
+   * @returns {Promise<object|null>} - Same fields as in scan results, plus the names
+   *   of the technologies it `implies`, `excludes` and `requires`
+   */
+  async getTechnology(name) {
+    await this.#initialize();
+
+    const technology =
+      this.#core.getTechnology(name) || this.#core.getTechnologyBySlug(name);
+
+    if (!technology) return null;
+
+    const {
+      description,
+      slug,
+      categories: _categories,
+      icon,
+      website,
+      pricing,
+      cpe,
+      implies,
+      excludes,
+      requires,
+    } = technology;
+
+    return {
+      name: technology.name,
+      description,
+      slug,
+      categories: _categories.map((id) => this.#core.getCategory(id)),
+      icon,
+      website,
+      pricing,
+      cpe,
+      implies: implies.map(({ name }) => name),
+      excludes: excludes.map(({ name }) => name),
+      requires: requires.map(({ name }) => name),
+    };
+  }
+
+  /**
+   * List categories, highest priority first.
+   *
+   * @returns {Promise<Array<{ id: number, slug: string, name: string, priority: number }>>}
+   */
+  async getCategories() {
+    await this.#initialize();
+
+    return this.#core.categories.map((category) => ({ ...category }));
+  }
+
+  /**
+   * Run every relation, DOM and JS fingerprint over a payload. When `requires`
+   * or `categoryRequires` are given, only technologies that depend on them are
+   * analyzed. Patterns that exceed the regex time budget are reported in
+   * `performance.errors`.
+   */
+  async #analyze(payload, requires, categoryRequires, regex = {}) {
+    const technologies =
+      this.#core.getRequiredTechnologies(requires, categoryRequires) ||
+      this.#core.technologies;
+
+    const budget = this.#createBudget(regex);
+
+    const detections = [
+      ...this.#core.analyze(payload, technologies, budget),
+      ...(budget.deferred?.length ? await this.#analyzeInWorker(budget) : []),
+      ...(payload.inline ? await this.#analyzeInline(payload.inline, technologies, budget) : []),
+      ...(payload.dom
+        ? await this.#core.analyzeDom(
+          payload.url,
+          payload.dom,
+          requires,
+          categoryRequires,
+          budget
+        )
+        : []),
+      ...this.#core.analyzeJs(
+        payload.url,
+        this.#core.getJs(payload.js, technologies),
+        requires,
+        categoryRequires,
+        budget
+      ),
+    ];
+
+    budget.timeouts.forEach(({ technology, type, pattern, duration }) =>
+      payload.performance?.errors?.push({
+        function: "analyze",
+        message: `Pattern of ${technology} (${type}) timed out after ${duration} ms: ${pattern}`,
+        technology,
+        type,
+        pattern,
+        duration,
+      })
+    );
+
+    return detections;
+  }
+
+  // Regex time budget of an analysis, see `createWappalyzer().withBudget`
+  #createBudget(regex = {}) {
+    return {
+      timeout: regex.timeout ?? 1000,
+      blocklist: regex.blocklist === true,
+      timeouts: [],
+      deferred: regex.worker ? [] : null,
+    };
+  }
+
+  /**
+   * Analyze inline script and style contents kept apart from external ones
+   * (`inline: "separate"`), with the `scripts` and `css` patterns. Detections
+   * get an `inline` subtype, so evidence reads `scripts.inline`.
+   */
+  async #analyzeInline(inline, technologies, budget) {
+    const inlineBudget = { ...budget, deferred: budget.deferred ? [] : null };
+
+    const detections = [
+      ...this.#core.analyze(
+        { scripts: inline.scripts, css: inline.css },
+        technologies,
+        inlineBudget
+      ),
+      ...(inlineBudget.deferred?.length ? await this.#analyzeInWorker(inlineBudget) : []),
+    ];
+
+    return detections.map((detection) => ({
+      ...detection,
+      pattern: { ...detection.pattern, subtype: "inline" },
+    }));
+  }
+
+  /**
+   * Run the text patterns the engine deferred in a worker thread, where a
+   * pattern that exceeds the time budget is stopped instead of stalling the
+   * event loop.
+   */
+  async #analyzeInWorker(budget) {
+    const matches = await this.#matchDeferred(budget);
+
+    return budget.deferred.flatMap(({ technology, type, pattern, value }, index) =>
+      matches[index]
+        ? [this.#core.createDetection(technology, type, pattern, value, matches[index])]
+        : []
+    );
+  }
+
+  /**
+   * Match deferred patterns in a worker thread, reporting those that time out.
+   *
+   * @returns {Promise<Array>} - The result of `exec` (or null) by deferred pattern
+   */
+  async #matchDeferred(budget) {
+    const { deferred } = budget;
+    const values = {};
+
+    deferred.forEach(({ type, value }) => {
+      values[type] = value;
+    });
+
+    const { matches, timeouts } = await matchInWorker(
+      values,
+      deferred.map(({ type, pattern: { regex } }) => ({
+        type,
+        source: regex.source,
+        flags: regex.flags,
+      })),
+      budget.timeout || Infinity
+    );
+
+    timeouts.forEach(({ index, duration }) => {
+      const { technology, type, pattern } = deferred[index];
+
+      this.#core.reportTimeout(budget, technology, type, pattern, duration);
+    });
+
+    return matches;
+  }
+
+  /**
+   * Analyze technologies with `requires` or `requiresCategory` once the
+   * technology or category they depend on has been detected. Repeats until
+   * no new requirement is met, since dependents can be required themselves.
+   */
+  async #analyzeRequires(payload, detections, regex) {
+    const seenNames = new Set();
+    const seenCategories = new Set();
+    const analyzed = new Set();
+
+    for (;;) {
+      const resolved = this.#core.resolve({ detections });
+
+      const requires = resolved
+        .filter(({ name }) => !seenNames.has(name))
+        .map(({ name }) => ({ name }));
+      const categoryRequires = [
+        ...new Set(resolved.flatMap(({ categories }) => categories.map(({ id }) => id))),
+      ]
+        .filter((id) => !seenCategories.has(id))
+        .map((id) => ({ id }));
+
+      if (!requires.length && !categoryRequires.length) break;
+
+      requires.forEach(({ name }) => seenNames.add(name));
+      categoryRequires.forEach(({ id }) => seenCategories.add(id));
+
+      const pending = this.#core.getRequiredTechnologies(requires, categoryRequires)
+        .map(({ name }) => name)
+        .filter((name) => !analyzed.has(name));
+
+      if (!pending.length) continue;
+
+      pending.forEach((name) => analyzed.add(name));
+
+      const analysis = await this.#analyze(payload, requires, categoryRequires, regex);
+      detections.push(
+        ...analysis.filter(({ technology }) => pending.includes(technology.name))
+      );
+    }
+
+    return detections;
+  }
+
+  async #resolve(payload, { evidence = false, regex } = {}, detections = null) {
+    const analysis =
+      detections ||
+      (await this.#analyzeRequires(
+        payload,
+        await this.#analyze(payload, undefined, undefined, regex),
+        regex
+      ));
+    const technologies = await this.#core.resolve({
       detections: analysis,
       helpers: payload.helpers,
+      evidence,
     });
 
     const helperEntries = Array.isArray(payload.helpers)
@@ -52,6 +556,7 @@ class Wappalyzer {
     
     return {
       technologies,
+      ...(payload.response ? { response: payload.response } : {}),
       performance: payload.performance,
       helperSummary,
       helpers: helperEntries,
@@ -59,20 +564,197 @@ class Wappalyzer {
     };
   }
 
+  /**
+   * Start recording main document responses on a page, before navigating it.
+   * `scanPage` then uses the real response headers, status and redirect chain
+   * instead of re-requesting the document.
+   *
+   * With `network`, every request URL and the bodies of script and stylesheet
+   * responses are recorded as well. `scanPage` then reads scripts and
+   * stylesheets from what the browser downloaded, including ones injected by
+   * scripts, instead of fetching them again, and matches request URLs against
+   * `xhr` fingerprints, and those of scripts against `scriptSrc` fingerprints.
+   *
+   * @param {import('playwright').Page|import('puppeteer').Page} page
+   * @param {object} [opts]
+   * @param {boolean} [opts.network=false] - Record requests and asset bodies
+   * @returns {Function} - Stops recording.
+   */
+  attach(page, { network = false } = {}) {
+    if (!page || typeof page.on !== "function") {
+      throw new Error("A valid Puppeteer or Playwright page object is required");
+    }
+
+    this.#navigations.get(page)?.detach();
+
+    const tracker = trackNavigation(page, { network });
+    this.#navigations.set(page, tracker);
+
+    return () => {
+      tracker.detach();
+
+      if (this.#navigations.get(page) === tracker) {
+        this.#navigations.delete(page);
+      }
+    };
+  }
+
+  /**
+   * Explain why a technology was or was not detected. Every pattern of the
+   * technology is reported with the input it was tested against, whether it
+   * matched, and whether the relation had no input at all (e.g. `dns` or
+   * `robots` are never collected). Patterns are matched once, by the analysis
+   * that decides whether the technology is detected, within the regex time
+   * budget; blocked patterns are reported with `blocked: true`.
+   *
+   * @param {string} name - Technology name
+   * @param {object} payload - Scan inputs: `url`, `html`, `text`, `css`, `scripts`,
+   *   `scriptSrc`, `headers`, `cookies`, `meta`, `js` (chain to value) and `dom`
+   *   (HTML string or cheerio instance)
+   * @param {object} [opts]
+   * @param {object}   [opts.regex] - See `scanHTML`
+   */
+  async explain(name, payload = {}, { regex } = {}) {
+    if (typeof name !== "string" || !name) {
+      throw new Error("name must be a non-empty string");
+    }
+
+    await this.#initialize();
+
+    const technology = this.#core.getTechnology(name);
+
+    if (!technology) {
+      throw new Error(`Technology does not exist: ${name}`);
+    }
+
+    const items = {
+      ...payload,
+      headers: normalizeHeaders(payload.headers),
+      cookies: normalizeCookies(payload.cookies, payload.headers),
+      dom: typeof payload.dom === "string" ? cheerio.load(payload.dom) : payload.dom,
+    };
+
+    items.performance = { errors: [] };
+
+    const detections = await this.#analyzeRequires(
+      items,
+      await this.#analyze(items, undefined, undefined, regex),
+      regex
+    );
+    const resolved = this.#core.resolve({ detections, evidence: true });
+    const result = resolved.find(({ name: _name }) => _name === name);
+    const resolvedNames = new Set(resolved.map(({ name }) => name));
+    const resolvedCategories = new Set(
+      resolved.flatMap(({ categories }) => categories.map(({ id }) => id))
+    );
+
+    // Technologies that depend on others are only analyzed once a
+    // requirement is met; their patterns are run here otherwise
+    const analyzed =
+      this.#core.technologies.includes(technology) ||
+      technology.requires.some(({ name }) => resolvedNames.has(name)) ||
+      technology.requiresCategory.some(({ id }) => resolvedCategories.has(id));
+    const budget = this.#createBudget(regex);
+    const patterns = this.#core.explainPatterns(
+      technology,
+      items,
+      budget,
+      analyzed ? detections : null
+    );
+
+    if (budget.deferred?.length) {
+      const matches = await this.#matchDeferred(budget);
+
+      budget.deferred.forEach(({ pattern, value, report }, index) =>
+        this.#core.explainMatch(report, pattern, value, matches[index])
+      );
+    }
+
+    const timeouts = [
+      ...items.performance.errors,
+      ...budget.timeouts.map(({ technology, type, pattern, duration }) => ({
+        technology,
+        type,
+        pattern,
+        duration,
+      })),
+    ].filter(({ technology }) => technology === name);
+
+    return {
+      name,
+      detected: !!result,
+      confidence: result ? result.confidence : 0,
+      version: result ? result.version : "",
+      matched: detections.some(({ technology: { name: _name } }) => _name === name),
+      impliedBy: result
+        ? result.evidence.filter(({ source }) => source === "implies").map(({ impliedBy }) => impliedBy)
+        : [],
+      excludedBy: resolved
+        .filter(({ name: _name }) =>
+          this.#core.getTechnology(_name).excludes.some(({ name: excluded }) => excluded === name)
+        )
+        .map(({ name }) => name),
+      requires: technology.requires.map(({ name }) => ({ name, met: resolvedNames.has(name) })),
+      requiresCategory: technology.requiresCategory.map(({ id }) => ({
+        id,
+        met: resolvedCategories.has(id),
+      })),
+      patterns,
+      timeouts: timeouts.map(({ type, pattern, duration }) => ({ type, pattern, duration })),
+    };
+  }
+
   /**
    * Analyze an existing Puppeteer or Playwright page.
    * The caller is responsible for navigation and lifecycle of the page.
    *
    * @param {import('playwright').Page|import('puppeteer').Page} page
-   * @param {string} [url] - Optional URL override (defaults to page.url())
+   * @param {string|object} [opts] - URL override, or an options object
+   * @param {string}   [opts.url]      - URL override (defaults to page.url())
+   * @param {object}   [opts.response] - Playwright/Puppeteer `Response` of the main
+   *   document, e.g. the return value of `page.goto()`. Defaults to the last one
+   *   recorded by `attach(page)`.
+   * @param {boolean|string} [opts.frames=false] - Also scan child frames (iframes):
+   *   `"merge"` (or `true`) their technologies into the page's, each with the
+   *   `frames` it was detected in, or list them `"separate"`ly by frame URL. Either
+   *   way the result has a `frames` array.
+   * @param {boolean|object} [opts.helpers=true] - Run helpers, or toggle them one
+   *   by one with `{ wordpress, shopify, magento }`
+   * @param {boolean}  [opts.debug=false]  - Collect errors in `performance.errors`
+   * @param {object}   [opts.assets]       - External CSS/JS downloads: `timeout` per
+   *   file in ms, `maxFiles`, `maxBytes` in total and `thirdParty`. With
+   *   `attach(page, { network: true })`, the same limits apply to recorded bodies.
+   * @param {boolean|string} [opts.inline=true] - See `scanHTML`
+   * @param {boolean}  [opts.evidence=false] - Add an `evidence` array to each technology
+   * @param {object}   [opts.regex]        - Regex time budget: `timeout` per pattern
+   *   in ms (default 1000), `blocklist` slow patterns in the instance's later scans
+   *   (default false) and run text patterns in a `worker` thread (default false)
    */
-  async scanPage(page, url = null) {
+  async scanPage(page, opts = {}) {
     if (!page || typeof page.content !== "function") {
       throw new Error("A valid Puppeteer or Playwright page object is required");
     }
 
     await this.#initialize();
 
+    const {
+      url = null,
+      response = null,
+      frames = false,
+      evidence = false,
+      regex,
+      ...options
+    } = typeof opts === "string" ? { url: opts } : opts || {};
+
+    if (![false, true, "merge", "separate"].includes(frames)) {
+      throw new Error('frames must be "merge" or "separate"');
+    }
+
+    const mode = frames === true ? "merge" : frames;
+    const tracker = this.#navigations.get(page);
+    const mainFrame =
+      mode && typeof page.mainFrame === "function" ? page.mainFrame() : null;
+
     const pageUrl =
       typeof url === "string" && url
         ? url
@@ -81,13 +763,133 @@ class Wappalyzer {
           : "about:blank";
 
     try {
-      const payload = await extractTechnologiesFromPage(page, pageUrl);
-      return await this.#resolve(payload);
+      const payload = await extractTechnologiesFromPage(page, pageUrl, {
+        ...options,
+        js: { chains: this.#core.getJsChains() },
+        response: response || tracker?.response || null,
+        // Scanning frames one by one, the main frame only gets its own requests
+        network:
+          tracker?.network && mainFrame
+            ? getFrameNetwork(tracker.network, mainFrame)
+            : tracker?.network || null,
+      });
+
+      return mode
+        ? await this.#scanFrames(page, payload, mode, { evidence, regex, ...options })
+        : await this.#resolve(payload, { evidence, regex });
     } catch (error) {
       return { error: "Failed to scan page technologies" };
     }
   }
 
+  /**
+   * Scan the child frames of a page whose main frame was extracted into
+   * `payload`, and merge their technologies into the page's or list them by
+   * frame. Helpers only run on the main frame.
+   *
+   * @param {import('playwright').Page|import('puppeteer').Page} page
+   * @param {object} payload
+   * @param {string} mode - `merge` or `separate`
+   * @param {object} opts - Scan options, see `scanPage`
+   */
+  async #scanFrames(page, payload, mode, { evidence, regex, ...options }) {
+    const tracker = this.#navigations.get(page);
+    const mainFrame = typeof page.mainFrame === "function" ? page.mainFrame() : null;
+    const isDetached = (frame) =>
+      typeof frame.isDetached === "function" ? frame.isDetached() : !!frame.detached;
+
+    const frames = [];
+
+    for (const frame of typeof page.frames === "function" ? page.frames() : []) {
+      if (frame === mainFrame || isDetached(frame)) continue;
+
+      const frameUrl = frame.url();
+
+      try {
+        frames.push({
+          url: frameUrl,
+          payload: await extractTechnologiesFromPage(frame, frameUrl, {
+            ...options,
+            helpers: false,
+            js: { chains: this.#core.getJsChains() },
+            response: tracker?.frames.get(frame) || null,
+            network: tracker?.network ? getFrameNetwork(tracker.network, frame) : null,
+          }),
+        });
+      } catch (error) {
+        frames.push({ url: frameUrl, error });
+      }
+    }
+
+    if (mode === "separate") {
+      const result = await this.#resolve(payload, { evidence, regex });
+
+      for (const [index, frame] of frames.entries()) {
+        try {
+          if (frame.error) throw frame.error;
+
+          const { technologies } = await this.#resolve(frame.payload, { evidence, regex });
+
+          frames[index] = { url: frame.url, technologies };
+        } catch (error) {
+          frames[index] = { url: frame.url, error: "Failed to scan frame technologies" };
+        }
+      }
+
+      return { ...result, frames };
+    }
+
+    // Detections of all frames, resolved together
+    const detections = [];
+    const urls = new Map();
+    const errors = payload.performance?.errors;
+
+    for (const [index, frame] of [{ url: payload.url, payload }, ...frames].entries()) {
+      if (frame.error) {
+        errors?.push({ function: "scanPage", message: frame.error.message, url: frame.url });
+        frames[index - 1] = { url: frame.url, error: "Failed to scan frame technologies" };
+        continue;
+      }
+
+      const analysis = await this.#analyzeRequires(
+        frame.payload,
+        await this.#analyze(frame.payload, undefined, undefined, regex),
+        regex
+      );
+
+      detections.push(...analysis.map((detection) => ({ ...detection, lastUrl: frame.url })));
+
+      const technologies = this.#core
+        .resolve({ detections: analysis })
+        .map(({ name }) => name);
+
+      technologies.forEach((name) => {
+        urls.set(name, [...(urls.get(name) || []), frame.url]);
+      });
+
+      if (index) {
+        errors?.push(
+          ...(frame.payload.performance?.errors || []).map((error) => ({
+            ...error,
+            url: frame.url,
+          }))
+        );
+        frames[index - 1] = { url: frame.url, technologies };
+      }
+    }
+
+    const result = await this.#resolve(payload, { evidence, regex }, detections);
+
+    return {
+      ...result,
+      technologies: result.technologies.map((technology) => ({
+        ...technology,
+        frames: [...new Set(urls.get(technology.name) || [])],
+      })),
+      frames,
+    };
+  }
+
   /**
    * Analyze raw HTML. Useful when you already have the response body.
    *
@@ -95,9 +897,35 @@ class Wappalyzer {
    * @param {object} [opts]
    * @param {string}   [opts.url="about:blank"] - Base URL for resolving relative links
    * @param {object}   [opts.headers={}]        - Response headers
-   * @param {Array}    [opts.cookies=[]]        - Cookies
+   * @param {Array|Object|string} [opts.cookies=[]] - Cookies: a Playwright/Puppeteer
+   *   cookie array, `Set-Cookie` strings, a `{ name: value }` object or a `Cookie` header.
+   *   `Set-Cookie` values in `opts.headers` are picked up as well.
+   * @param {boolean|object} [opts.helpers=true] - Run helpers, or toggle them one
+   *   by one with `{ wordpress, shopify, magento }`
+   * @param {boolean}  [opts.debug=false]  - Collect errors in `performance.errors`
+   * @param {object}   [opts.assets]       - External CSS/JS downloads: `timeout` per
+   *   file in ms, `maxFiles`, `maxBytes` in total and `thirdParty`
+   * @param {Function} [opts.beforeFetch]  - Awaited with the URL of each CSS/JS
+   *   file before it is downloaded, e.g. to space out requests
+   * @param {boolean|string} [opts.inline=true] - Match inline `<script>` and `<style>`
+   *   contents with the external ones, or `"separate"`ly so their evidence reads
+   *   `scripts.inline` and `css.inline`
+   * @param {boolean}  [opts.evidence=false] - Add an `evidence` array to each technology
+   * @param {object}   [opts.regex]        - Regex time budget: `timeout` per pattern
+   *   in ms (default 1000), `blocklist` slow patterns in the instance's later scans
+   *   (default false) and run text patterns in a `worker` thread (default false)
    */
-  async scanHTML(html, { url = "about:blank", headers = {}, cookies = [] } = {}) {
+  async scanHTML(
+    html,
+    {
+      url = "about:blank",
+      headers = {},
+      cookies = [],
+      evidence = false,
+      regex,
+      ...options
+    } = {}
+  ) {
     if (typeof html !== "string" || !html.trim()) {
       throw new Error("html must be a non-empty string");
     }
@@ -105,14 +933,510 @@ class Wappalyzer {
     await this.#initialize();
 
     try {
-      const payload = await extractTechnologiesFromHTML(html, { url, headers, cookies });
-      return await this.#resolve(payload);
+      const payload = await extractTechnologiesFromHTML(html, { url, headers, cookies }, options);
+      return await this.#resolve(payload, { evidence, regex });
     } catch (error) {
       return { error: "Failed to scan HTML technologies" };
     }
   }
+
+  /**
+   * Fetch a URL over plain HTTP and analyze the response, without a browser.
+   * Redirects are followed, and the final URL, response headers and every
+   * `Set-Cookie` along the redirect chain are used for detection.
+   *
+   * @param {string} url - A missing scheme defaults to https
+   * @param {object} [opts]
+   * @param {number}   [opts.timeout=10000]  - Timeout per request, in ms
+   * @param {number}   [opts.maxRedirects=10] - Redirects to follow before giving up
+   * @param {object}   [opts.headers={}]     - Request headers, e.g. a `user-agent`
+   * @param {Function} [opts.beforeFetch]  - Awaited with the URL of the document,
+   *   of each redirect and of each CSS/JS file before it is fetched
+   * @param {boolean|object} [opts.helpers=true] - See `scanHTML`
+   * @param {boolean}  [opts.debug=false]  - See `scanHTML`
+   * @param {object}   [opts.assets]       - See `scanHTML`
+   * @param {boolean}  [opts.evidence=false] - See `scanHTML`
+   * @param {object}   [opts.regex]        - See `scanHTML`
+   */
+  async scanURL(
+    url,
+    { timeout, maxRedirects, headers, beforeFetch, evidence = false, regex, ...options } = {}
+  ) {
+    if (typeof url !== "string" || !url.trim()) {
+      throw new Error("url must be a non-empty string");
+    }
+
+    await this.#initialize();
+
+    try {
+      const payload = await extractTechnologiesFromURL(
+        url.trim(),
+        { timeout, maxRedirects, headers, beforeFetch },
+        { ...options, beforeFetch }
+      );
+      return await this.#resolve(payload, { evidence, regex });
+    } catch (error) {
+      return { error: "Failed to scan URL technologies" };
+    }
+  }
+
+  /**
+   * Analyze a HAR recording, e.g. from Playwright's `recordHar`, without
+   * fetching anything. The main document, its headers and `Set-Cookie` values
+   * come from the recording, script and stylesheet bodies are read from it
+   * instead of downloaded, and every request URL is used for `scriptSrc` and
+   * `xhr` fingerprints. Helpers are off by default, since they make requests
+   * (the WordPress helper fetches the theme stylesheet).
+   *
+   * @param {object|string} har - HAR object, or its JSON
+   * @param {object} [opts]
+   * @param {string}   [opts.url] - URL of the main document, defaults to the first
+   *   HTML document in the recording. Recorded redirects are followed.
+   * @param {boolean|object} [opts.helpers=false] - See `scanHTML`
+   * @param {boolean}  [opts.debug=false]  - See `scanHTML`
+   * @param {object}   [opts.assets]       - `maxFiles`, `maxBytes` and `thirdParty`
+   *   of recorded CSS/JS to read, see `scanHTML`
+   * @param {boolean}  [opts.evidence=false] - See `scanHTML`
+   * @param {object}   [opts.regex]        - See `scanHTML`
+   */
+  async scanHAR(har, { url, helpers = false, evidence = false, regex, ...options } = {}) {
+    if (!har || (typeof har !== "object" && typeof har !== "string")) {
+      throw new Error("har must be a HAR object or JSON string");
+    }
+
+    await this.#initialize();
+
+    try {
+      const payload = await extractTechnologiesFromHAR(har, { url }, { ...options, helpers });
+      return await this.#resolve(payload, { evidence, regex });
+    } catch (error) {
+      return { error: "Failed to scan HAR technologies" };
+    }
+  }
+
+  /**
+   * Analyze every page captured in a WARC archive, e.g. from a crawler's
+   * storage. The archive is streamed: each page is scanned with the headers,
+   * cookies and script and stylesheet bodies recorded for it, and its result
+   * yielded, so archives larger than memory can be scanned. Results carry the
+   * page in `response`, with the capture `date`. Nothing is fetched unless
+   * `helpers` are turned on, as for `scanHAR`.
+   *
+   * A page that fails to scan is yielded as `{ error, response }`; an archive
+   * that can't be read throws.
+   *
+   * @param {string|AsyncIterable<Buffer>} input - Path to a `.warc` or `.warc.gz`
+   *   file, or a readable stream of one
+   * @param {object} [opts]
+   * @param {number}   [opts.window=500]   - Responses to wait for the scripts and
+   *   stylesheets of a page before scanning it without the missing ones
+   * @param {number}   [opts.cacheSize=67108864] - Characters of scripts and
+   *   stylesheets kept for pages captured later
+   * @param {number}   [opts.maxRecordSize=10485760] - Larger records are skipped
+   * @param {boolean|object} [opts.helpers=false] - See `scanHAR`
+   * @param {object}   [opts.assets]       - See `scanHAR`
+   * @param {boolean}  [opts.evidence=false] - See `scanHTML`
+   * @param {object}   [opts.regex]        - See `scanHTML`
+   */
+  async *scanWARC(
+    input,
+    {
+      window,
+      cacheSize,
+      maxRecordSize,
+      helpers = false,
+      evidence = false,
+      regex,
+      ...options
+    } = {}
+  ) {
+    if (typeof input !== "string" && typeof input?.[Symbol.asyncIterator] !== "function") {
+      throw new Error("input must be a file path or a readable stream");
+    }
+
+    await this.#initialize();
+
+    for await (const payload of extractTechnologiesFromWARC(
+      input,
+      { window, cacheSize, maxRecordSize },
+      { ...options, helpers }
+    )) {
+      if (payload.error) {
+        yield { error: "Failed to scan WARC technologies", response: payload.response };
+        continue;
+      }
+
+      try {
+        yield await this.#resolve(payload, { evidence, regex });
+      } catch (error) {
+        yield { error: "Failed to scan WARC technologies", response: payload.response };
+      }
+    }
+  }
+
+  /**
+   * Scan many URLs or HTML snapshots, yielding `{ input, result, attempts }`
+   * as scans complete (not in input order).
+   *
+   * Strings and `{ url }` records are fetched with `scanURL`; `{ html, url,
+   * headers, cookies }` records are analyzed with `scanHTML`. A scan that
+   * returns an `error` is retried, and yielded with the error once retries are
+   * exhausted.
+   *
+   * With a `checkpoint` file, inputs scanned successfully are recorded by `id`,
+   * URL or position (see `inputKey`) and skipped when the run is started again.
+   *
+   * @param {Iterable|AsyncIterable<string|object>} inputs
+   * @param {object} [opts]
+   * @param {number}   [opts.concurrency=5] - Scans running at the same time
+   * @param {number}   [opts.delay=0]       - Minimum time between fetches from
+   *   the same host (documents, redirects, CSS and JS, retries included), in ms
+   * @param {number}   [opts.retries=0]     - Retries of a failed scan
+   * @param {number}   [opts.retryDelay=1000] - Time before a retry, in ms
+   * @param {string}   [opts.checkpoint]    - File recording completed inputs
+   * @param {object}   [opts.*]             - Other options are passed to each scan,
+   *   see `scanHTML` and `scanURL`
+   */
+  async *scanMany(
+    inputs,
+    {
+      concurrency = 5,
+      delay = 0,
+      retries = 0,
+      retryDelay = 1000,
+      checkpoint = null,
+      ...options
+    } = {}
+  ) {
+    if (
+      !inputs ||
+      (typeof inputs[Symbol.iterator] !== "function" &&
+        typeof inputs[Symbol.asyncIterator] !== "function")
+    ) {
+      throw new Error("inputs must be an iterable or async iterable");
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error("concurrency must be a positive integer");
+    }
+
+    await this.#initialize();
+
+    const completed = checkpoint ? await readCheckpoint(checkpoint) : new Set();
+    const iterator = (inputs[Symbol.asyncIterator] || inputs[Symbol.iterator]).call(inputs);
+    const hosts = new Map();
+    const running = new Map();
+
+    // Space out fetches from the same host by `delay`. Called right before
+    // each fetch, which waits until the host is free and then takes the next
+    // slot, so fetches that wake up late (e.g. while the event loop is busy
+    // analyzing) are still `delay` apart
+    const beforeFetch = async (url) => {
+      const { hostname } = getDomain(url);
+
+      while ((hosts.get(hostname) || 0) > Date.now()) {
+        await sleep(hosts.get(hostname) - Date.now());
+      }
+
+      hosts.set(hostname, Date.now() + delay);
+
+      await options.beforeFetch?.(url);
+    };
+
+    const scanOptions = delay ? { ...options, beforeFetch } : options;
+
+    const scan = async (input) => {
+      const record = typeof input === "string" ? { url: input } : input || {};
+      let result;
+      let attempts = 0;
+
+      do {
+        if (attempts) await sleep(retryDelay);
+
+        attempts++;
+
+        try {
+          if (typeof record.html === "string") {
+            const { html, url, headers, cookies } = record;
+
+            result = await this.scanHTML(html, { ...scanOptions, url, headers, cookies });
+          } else if (typeof record.url === "string") {
+            result = await this.scanURL(record.url, scanOptions);
+          } else {
+            throw new Error("Input must be a URL or an { html, url } record");
+          }
+        } catch (error) {
+          // Invalid input, retrying won't help
+          return { input, result: { error: error.message }, attempts };
+        }
+      } while (result.error && attempts <= retries);
+
+      return { input, result, attempts };
+    };
+
+    let index = 0;
+    let exhausted = false;
+
+    try {
+      for (;;) {
+        while (!exhausted && running.size < concurrency) {
+          const next = await iterator.next();
+
+          if (next.done) {
+            exhausted = true;
+            break;
+          }
+
+          const id = index++;
+          const key = inputKey(next.value, id);
+
+          if (completed.has(key)) continue;
+
+          running.set(id, scan(next.value).then((item) => ({ id, key, item })));
+        }
+
+        if (!running.size) break;
+
+        const { id, key, item } = await Promise.race(running.values());
+
+        running.delete(id);
+
+        if (checkpoint && !item.result.error) {
+          await fs.appendFile(checkpoint, `${JSON.stringify(key)}\n`);
+        }
+
+        yield item;
+      }
+    } finally {
+      if (!exhausted) await iterator.return?.();
+    }
+  }
+
+  /**
+   * Crawl a site and merge the technologies found on its pages into one
+   * profile. Starting from a URL (or the pages listed in a sitemap), same-origin
+   * links are followed breadth first up to `depth` links away and `maxPages`
+   * pages in total. Pages are fetched over HTTP like `scanURL`, or visited
+   * with a browser `page` like `scanPage`.
+   *
+   * Each technology in the profile has the `urls` it was detected on, and
+   * `lastUrl` set to the most recent one.
+   *
+   * @param {string} url - Start page, or a `sitemap.xml` URL
+   * @param {object} [opts]
+   * @param {number}   [opts.depth=2]      - Links to follow away from the start pages
+   * @param {number}   [opts.maxPages=20]  - Pages to scan in total
+   * @param {boolean|string} [opts.sitemap] - Start from the pages of a sitemap: `true`
+   *   for `/sitemap.xml` of the site, or its URL. Defaults to `true` when `url`
+   *   ends with `.xml`.
+   * @param {import('playwright').Page|import('puppeteer').Page} [opts.page] - Browser
+   *   page to visit the pages with, instead of fetching them over HTTP
+   * @param {number}   [opts.delay=0]      - Time between pages, in ms
+   * @param {number}   [opts.timeout]      - Timeout per page, in ms
+   * @param {number}   [opts.maxRedirects] - See `scanURL`
+   * @param {object}   [opts.headers]      - Request headers, see `scanURL`
+   * @param {boolean}  [opts.evidence=false] - See `scanHTML`
+   * @param {object}   [opts.regex]        - See `scanHTML`
+   * @param {object}   [opts.*]            - Other scan options, see `scanHTML`
+   * @returns {Promise<object>} - `{ url, technologies, pages, performance }`
+   */
+  async crawl(
+    url,
+    {
+      depth = 2,
+      maxPages = 20,
+      sitemap,
+      page = null,
+      delay = 0,
+      timeout,
+      maxRedirects,
+      headers,
+      evidence = false,
+      regex,
+      ...options
+    } = {}
+  ) {
+    if (typeof url !== "string" || !url.trim()) {
+      throw new Error("url must be a non-empty string");
+    }
+
+    if (page && typeof page.goto !== "function") {
+      throw new Error("A valid Puppeteer or Playwright page object is required");
+    }
+
+    await this.#initialize();
+
+    const start = performance.now();
+    const startUrl = new URL(normalizeURL(url.trim()));
+    const errors = [];
+    const queue = [];
+    const queued = new Set();
+
+    const enqueue = (link, level) => {
+      const key = pageKey(new URL(link));
+
+      if (!queued.has(key)) {
+        queued.add(key);
+        queue.push({ url: key, depth: level });
+      }
+    };
+
+    // Sitemap to take the start pages from
+    let sitemapUrl = null;
+
+    if (typeof sitemap === "string") {
+      sitemapUrl = new URL(sitemap, startUrl).toString();
+    } else if (sitemap === true) {
+      sitemapUrl = new URL("/sitemap.xml", startUrl).toString();
+    } else if (sitemap === undefined && /\.xml$/i.test(startUrl.pathname)) {
+      sitemapUrl = startUrl.toString();
+    }
+
+    if (sitemapUrl !== startUrl.toString()) {
+      enqueue(startUrl.toString(), 0);
+    }
+
+    if (sitemapUrl) {
+      try {
+        (
+          await fetchSitemap(sitemapUrl, {
+            origin: startUrl.origin,
+            timeout,
+            headers,
+            limit: maxPages,
+          })
+        ).forEach((link) => enqueue(link, 0));
+      } catch (error) {
+        errors.push({ function: "crawl", message: error.message, url: sitemapUrl });
+      }
+    }
+
+    // Detections of all pages, one per technology, pattern and version,
+    // moved to the end when detected again so `lastUrl` is the latest page
+    const detections = new Map();
+    const urls = new Map();
+    const helpers = new Map();
+    const pages = [];
+
+    while (queue.length && pages.length < maxPages) {
+      const { url: pageUrl, depth: level } = queue.shift();
+
+      if (pages.length && delay) await sleep(delay);
+
+      try {
+        let payload;
+
+        if (page) {
+          const response = await page.goto(pageUrl, timeout ? { timeout } : undefined);
+
+          payload = await extractTechnologiesFromPage(page, page.url(), {
+            ...options,
+            js: { chains: this.#core.getJsChains() },
+            response,
+          });
+        } else {
+          payload = await extractTechnologiesFromURL(
+            pageUrl,
+            { timeout, maxRedirects, headers },
+            options
+          );
+        }
+
+        // Pages redirected to another site are not part of the profile
+        if (new URL(payload.url).origin !== startUrl.origin) {
+          throw new Error(`Redirected to ${payload.url}, outside ${startUrl.origin}`);
+        }
+
+        const analysis = await this.#analyzeRequires(
+          payload,
+          await this.#analyze(payload, undefined, undefined, regex),
+          regex
+        );
+
+        analysis.forEach((detection) => {
+          const { technology, pattern, version } = detection;
+          const key = JSON.stringify([
+            technology.name,
+            pattern.type,
+            pattern.subtype,
+            pattern.key,
+            pattern.regex.source,
+            version,
+          ]);
+
+          detections.delete(key);
+          detections.set(key, { ...detection, lastUrl: payload.url });
+        });
+
+        (payload.helpers || []).forEach((helper) => {
+          if (helper?.name && !helpers.has(helper.name)) {
+            helpers.set(helper.name, helper);
+          }
+        });
+
+        // Technologies of the page, including implied ones
+        const technologies = this.#core
+          .resolve({ detections: analysis })
+          .map(({ name }) => name);
+
+        technologies.forEach((name) => {
+          urls.set(name, [...(urls.get(name) || []), payload.url]);
+        });
+
+        pages.push({
+          url: payload.url,
+          ...(payload.response ? { status: payload.response.status } : {}),
+          depth: level,
+          technologies,
+        });
+
+        errors.push(
+          ...(payload.performance?.errors || []).map((error) => ({
+            ...error,
+            url: payload.url,
+          }))
+        );
+
+        queued.add(pageKey(new URL(payload.url)));
+
+        if (level < depth && payload.dom) {
+          extractLinks(payload.dom, payload.url, startUrl.origin).forEach((link) =>
+            enqueue(link, level + 1)
+          );
+        }
+      } catch (error) {
+        pages.push({ url: pageUrl, depth: level, error: error.message });
+      }
+    }
+
+    const technologies = this.#core
+      .resolve({
+        detections: [...detections.values()],
+        helpers: [...helpers.values()],
+        evidence,
+      })
+      .map((technology) => {
+        const _urls = [...new Set(urls.get(technology.name) || [])];
+
+        return {
+          ...technology,
+          urls: _urls,
+          lastUrl: _urls[_urls.length - 1] || technology.lastUrl,
+        };
+      });
+
+    return {
+      url: startUrl.toString(),
+      technologies,
+      pages,
+      performance: {
+        duration: performance.now() - start,
+        errors,
+      },
+    };
+  }
 }
 
 const wappalyzer = new Wappalyzer();
 
-export { Wappalyzer, wappalyzer };
+export { Wappalyzer, WappalyzerPool, wappalyzer };
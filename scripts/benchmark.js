@@ -0,0 +1,218 @@
+/**
+ * Benchmarks the detection engine on a large synthetic page, without network
+ * access. Run with `npm run benchmark`, optionally passing the number of
+ * iterations: `npm run benchmark -- 10`.
+ *
+ * With `--baseline`, `analyze` is also timed with the literal prefilter
+ * disabled, running every pattern, and its detections compared.
+ *
+ * With `--engine <dir>`, the engine of another checkout is measured on the
+ * same page and fingerprints, e.g. to compare with the per-technology scan
+ * and resolve bookkeeping from before the engine indexes:
+ *
+ *   git worktree add /tmp/before 038ebe5^
+ *   npm run benchmark -- --engine /tmp/before
+ */
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { extractTechnologiesFromHTML } from "../src/scrape.js";
+import { load_technologies } from "../src/technologies/__loader.js";
+import categories from "../src/categories.json" with { type: "json" };
+
+const args = process.argv.slice(2);
+const iterations = parseInt(args.find((arg) => /^\d+$/.test(arg)), 10) || 5;
+const baseline = args.includes("--baseline");
+const engine = args.includes("--engine") ? args[args.indexOf("--engine") + 1] : null;
+
+if (args.includes("--engine") && !engine) {
+  console.error("--engine requires the directory of a checkout");
+  process.exit(2);
+}
+
+const { createWappalyzer } = await import(
+  engine
+    ? pathToFileURL(path.resolve(engine, "src/wappalyzer.js")).toString()
+    : "../src/wappalyzer.js"
+);
+
+const buildPage = () => {
+  const head = [
+    '<meta name="generator" content="WordPress 6.4.2">',
+    '<meta property="og:site_name" content="Benchmark">',
+    '<link rel="stylesheet" href="/wp-content/themes/benchmark/style.css">',
+  ];
+  const body = [];
+
+  for (let i = 0; i < 200; i++) {
+    head.push(`<script src="https://cdn${i % 10}.example.com/assets/bundle-${i}.js?ver=${i}"></script>`);
+  }
+
+  for (let i = 0; i < 3000; i++) {
+    body.push(
+      `<div class="wrapper-${i % 50} card" data-id="${i}"><a href="/page/${i}" class="link">Item ${i}</a><img src="/images/${i}.png" alt=""></div>`
+    );
+  }
+
+  return `<!doctype html><html><head>${head.join("")}</head><body>${body.join("")}</body></html>`;
+};
+
+// Roughly 2 MB of minified-looking JavaScript
+const buildScripts = () => {
+  const chunks = [];
+
+  for (let i = 0; chunks.join("").length < 2 * 1024 * 1024; i++) {
+    chunks.push(
+      `!function(e,t){"use strict";var n${i}=function(r){return r&&r.__esModule?r:{default:r}};e.exports.m${i}=n${i}(t)}(module,{version:"${i}.0.0"});`
+    );
+  }
+
+  return chunks.join("\n");
+};
+
+const time = async (fn) => {
+  const start = performance.now();
+  const result = await fn();
+  return [performance.now() - start, result];
+};
+
+const core = createWappalyzer();
+const [setupDuration] = await time(async () => {
+  core.setTechnologies(await load_technologies());
+  core.setCategories(categories);
+});
+
+const payload = await extractTechnologiesFromHTML(
+  buildPage(),
+  {
+    url: "https://www.example.com/",
+    headers: { server: ["nginx/1.25.3"], "x-powered-by": ["PHP/8.2.1"] },
+    cookies: [{ name: "PHPSESSID", value: "abc" }],
+  },
+  { helpers: false, assets: { maxFiles: 0 } }
+);
+
+payload.scripts = buildScripts();
+payload.js = { "jQuery.fn.jquery": "3.7.1", "wp.ajax": true };
+
+// Without literal matchers, `analyze` runs every pattern. Engines without
+// the prefilter already do.
+const withoutPrefilter = (fn) => {
+  if (!core.index?.literals) return fn();
+
+  const { literals } = core.index;
+
+  core.index.literals = new Map();
+
+  try {
+    return fn();
+  } finally {
+    core.index.literals = literals;
+  }
+};
+
+const describe = (detections) =>
+  detections
+    .map(({ technology, pattern, version }) =>
+      JSON.stringify([technology.name, pattern.type, pattern.regex.source, version])
+    )
+    .sort();
+
+const totals = {
+  analyze: 0,
+  ...(baseline ? { baseline: 0 } : {}),
+  analyzeDom: 0,
+  analyzeJs: 0,
+  resolve: 0,
+};
+let technologies = [];
+let mismatches = 0;
+
+for (let i = 0; i < iterations; i++) {
+  const [analyzeDuration, analysis] = await time(() => core.analyze(payload));
+
+  if (baseline) {
+    const [baselineDuration, unfiltered] = await time(() =>
+      withoutPrefilter(() => core.analyze(payload))
+    );
+
+    totals.baseline += baselineDuration;
+
+    if (JSON.stringify(describe(analysis)) !== JSON.stringify(describe(unfiltered))) {
+      mismatches++;
+    }
+  }
+  const [domDuration, dom] = await time(() => core.analyzeDom(payload.url, payload.dom));
+  const [jsDuration, js] = await time(() =>
+    core.analyzeJs(payload.url, core.getJs(payload.js))
+  );
+  const [resolveDuration, resolved] = await time(() =>
+    core.resolve({ detections: [...analysis, ...dom, ...js] })
+  );
+
+  totals.analyze += analyzeDuration;
+  totals.analyzeDom += domDuration;
+  totals.analyzeJs += jsDuration;
+  totals.resolve += resolveDuration;
+  technologies = resolved;
+}
+
+// Bookkeeping in resolve grows with the number of detections, so also resolve
+// three detections for each of the first 1000 technologies
+const manyDetections = core.technologies.slice(0, 1000).flatMap((technology) =>
+  [0, 1, 2].map(() => ({
+    technology,
+    pattern: { regex: /(?:)/, confidence: 40, type: "html", value: "", match: "" },
+    version: "",
+  }))
+);
+
+const [manyDuration, many] = await time(() =>
+  core.resolve({ detections: manyDetections })
+);
+
+// Most of analyzeDom is cheerio evaluating every selector of the database
+const selectors = [
+  ...new Set(
+    core.technologies.flatMap(({ dom }) =>
+      dom && dom.constructor === Object ? Object.keys(dom) : []
+    )
+  ),
+];
+
+const [selectorDuration] = await time(() =>
+  selectors.forEach((selector) => {
+    try {
+      payload.dom(selector);
+    } catch (error) {
+      // Selector not supported by cheerio
+    }
+  })
+);
+
+if (engine) console.log(`Engine: ${path.resolve(engine)}`);
+
+console.log(`setTechnologies + setCategories: ${setupDuration.toFixed(1)} ms`);
+console.log(`Average over ${iterations} iterations:`);
+
+Object.entries(totals).forEach(([phase, total]) => {
+  console.log(`  ${phase.padEnd(10)} ${(total / iterations).toFixed(1)} ms`);
+
+  if (phase === "analyzeDom") {
+    console.log(
+      `    of which selecting ${selectors.length} selectors: ${selectorDuration.toFixed(1)} ms`
+    );
+  }
+});
+
+if (baseline) {
+  console.log(
+    mismatches
+      ? `Baseline detections differ in ${mismatches} of ${iterations} iterations`
+      : "Baseline detections are identical"
+  );
+}
+
+console.log(`Detected: ${technologies.map(({ name }) => name).join(", ")}`);
+console.log(
+  `Resolve ${manyDetections.length} detections: ${manyDuration.toFixed(1)} ms (${many.length} technologies)`
+);
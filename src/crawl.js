@@ -0,0 +1,126 @@
+import * as cheerio from "cheerio";
+
+// Links to files that are not web pages
+const SKIPPED_EXTENSIONS =
+  /\.(?:7z|avi|bmp|css|csv|docx?|eot|exe|gif|gz|ico|jpe?g|js|json|mov|mp3|mp4|pdf|png|pptx?|rar|svg|tar|tiff?|ttf|txt|wav|webm|webp|woff2?|xlsx?|xml|zip)$/i;
+
+/**
+ * Strips the fragment, since it refers to the same page.
+ *
+ * @param {URL} url
+ * @returns {string}
+ */
+const pageKey = (url) => {
+  url.hash = "";
+
+  return url.toString();
+};
+
+/**
+ * Lists the pages of an origin a document links to.
+ *
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string} pageUrl - Base URL for resolving relative links.
+ * @param {string} [origin] - Origin to keep links to, defaults to that of
+ *   `pageUrl`.
+ * @returns {string[]}
+ */
+const extractLinks = ($, pageUrl, origin = new URL(pageUrl).origin) => {
+  const base = $("base[href]").attr("href");
+  const links = new Set();
+
+  let baseUrl = pageUrl;
+
+  try {
+    baseUrl = base ? new URL(base, pageUrl).toString() : pageUrl;
+  } catch (error) {
+    // Invalid base, keep the page URL
+  }
+
+  $("a[href], area[href]").each((_, element) => {
+    const href = $(element).attr("href").trim();
+
+    if (!href || /^(?:#|javascript:|mailto:|tel:|data:)/i.test(href)) return;
+
+    try {
+      const url = new URL(href, baseUrl);
+
+      if (url.origin === origin && !SKIPPED_EXTENSIONS.test(url.pathname)) {
+        links.add(pageKey(url));
+      }
+    } catch (error) {
+      // Invalid URL
+    }
+  });
+
+  return [...links];
+};
+
+/**
+ * Lists the page URLs of a sitemap, following sitemap indexes. Only sitemaps
+ * and pages of `origin` are followed and listed, so that a sitemap can't send
+ * requests to other sites.
+ *
+ * @param {string} url - URL of `sitemap.xml`, or of a sitemap index.
+ * @param {object} [opts]
+ * @param {string} [opts.origin]         - Origin of the pages to list, defaults to
+ *   that of `url`
+ * @param {number} [opts.timeout=10000]  - Timeout per request, in ms
+ * @param {object} [opts.headers={}]     - Request headers
+ * @param {number} [opts.limit=Infinity] - Max page URLs to list
+ * @returns {Promise<string[]>}
+ */
+const fetchSitemap = async (
+  url,
+  { origin = new URL(url).origin, timeout = 10000, headers = {}, limit = Infinity } = {}
+) => {
+  // Absolute URL of a `<loc>` of `origin`, or null
+  const resolve = (loc, sitemapUrl) => {
+    try {
+      const resolved = new URL(loc, sitemapUrl);
+
+      return resolved.origin === origin ? resolved.toString() : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const urls = [];
+  const queue = [url];
+  const seen = new Set(queue);
+
+  while (queue.length && urls.length < limit) {
+    const sitemapUrl = queue.shift();
+    const response = await fetch(sitemapUrl, {
+      signal: AbortSignal.timeout(timeout),
+      headers,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch sitemap ${sitemapUrl}: ${response.status}`);
+    }
+
+    const $ = cheerio.load(await response.text(), { xmlMode: true });
+
+    $("sitemap > loc").each((_, element) => {
+      const loc = resolve($(element).text().trim(), sitemapUrl);
+
+      if (loc && !seen.has(loc)) {
+        seen.add(loc);
+        queue.push(loc);
+      }
+    });
+
+    $("url > loc").each((_, element) => {
+      const loc = resolve($(element).text().trim(), sitemapUrl);
+
+      if (loc && urls.length < limit) {
+        urls.push(loc);
+      }
+    });
+  }
+
+  return urls;
+};
+
+export { extractLinks, fetchSitemap, pageKey };
@@ -0,0 +1,156 @@
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
+
+// This module is also the worker script, told apart by its `workerData`
+if (!isMainThread && workerData?.matchInWorker) {
+  const state = new Int32Array(workerData.state);
+
+  parentPort.on("message", ({ values, jobs, offset }) => {
+    jobs.forEach(({ source, flags, type }, index) => {
+      // Job being run and when it started, in ms since `origin`, read by the
+      // main thread. The time is stored first so that it is never older than
+      // the job it is read with.
+      Atomics.store(state, 1, Date.now() - workerData.origin);
+      Atomics.store(state, 0, offset + index);
+
+      const matches = new RegExp(source, flags).exec(values[type]);
+
+      Atomics.store(state, 0, -1);
+
+      if (matches) {
+        parentPort.postMessage({ index: offset + index, matches: [...matches] });
+      }
+    });
+
+    parentPort.postMessage({ done: true });
+  });
+}
+
+// Workers kept between calls, beyond which finished workers are stopped
+const MAX_IDLE_WORKERS = 4;
+
+// Start times are stored as 32-bit ms since the worker started, so workers
+// are replaced well before they would overflow
+const MAX_WORKER_AGE = 24 * 60 * 60 * 1000;
+
+const idle = [];
+
+const createWorker = () => {
+  const buffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * 2);
+  const state = new Int32Array(buffer);
+  const origin = Date.now();
+
+  Atomics.store(state, 0, -1);
+
+  const worker = new Worker(new URL(import.meta.url), {
+    workerData: { matchInWorker: true, state: buffer, origin },
+  });
+  const entry = { worker, state, origin };
+
+  // An idle worker that fails is dropped, running ones are handled by `run`
+  worker.on("error", () => {});
+  worker.once("exit", () => {
+    const index = idle.indexOf(entry);
+
+    if (index !== -1) idle.splice(index, 1);
+  });
+
+  return entry;
+};
+
+/**
+ * Run jobs from `offset` on a worker, until they are done or one exceeds
+ * `timeout`, in which case the worker is stopped.
+ *
+ * @returns {Promise<number>} - Offset of the first job not run.
+ */
+const run = (entry, values, jobs, offset, timeout, matches, timeouts) =>
+  new Promise((resolve, reject) => {
+    const { worker, state, origin } = entry;
+
+    const interval = setInterval(() => {
+      const index = Atomics.load(state, 0);
+      const duration = Date.now() - origin - Atomics.load(state, 1);
+
+      if (index < 0 || duration <= timeout) return;
+
+      timeouts.push({ index, duration });
+
+      finish(index + 1, null, true);
+    }, Math.max(5, Math.min(100, timeout / 4)));
+
+    const onMessage = (message) => {
+      if (message.done) {
+        finish(jobs.length);
+      } else {
+        matches[message.index] = message.matches;
+      }
+    };
+
+    const onError = (error) => finish(null, error, true);
+
+    const onExit = () => finish(null, new Error("Regex worker exited"), true);
+
+    const finish = (next, error, stop = false) => {
+      clearInterval(interval);
+
+      worker.off("message", onMessage);
+      worker.off("error", onError);
+      worker.off("exit", onExit);
+
+      if (stop || idle.length >= MAX_IDLE_WORKERS || Date.now() - origin > MAX_WORKER_AGE) {
+        worker.terminate();
+      } else {
+        // Idle workers don't keep the process alive
+        worker.unref();
+        idle.push(entry);
+      }
+
+      error ? reject(error) : resolve(next);
+    };
+
+    worker.on("message", onMessage);
+    worker.on("error", onError);
+    worker.on("exit", onExit);
+    worker.ref();
+
+    worker.postMessage({ values, jobs: jobs.slice(offset), offset });
+  });
+
+/**
+ * Run regexes in a worker thread so that a slow one can be stopped. A
+ * pattern that runs longer than `timeout` ms is reported and skipped, and the
+ * remaining patterns are run in a new worker. Workers are reused between
+ * calls, and calls made at the same time each get one.
+ *
+ * @param {Object<string, string>} values - Text to match, by type.
+ * @param {Array} jobs - `{ source, flags, type }` of each regex.
+ * @param {number} [timeout=1000] - Time budget per regex, in ms.
+ * @returns {Promise<{ matches: Array, timeouts: Array }>} - The result of `exec`
+ *   (or null) by job, and `{ index, duration }` of the jobs that timed out.
+ */
+export default async (values, jobs, timeout = 1000) => {
+  const matches = new Array(jobs.length).fill(null);
+  const timeouts = [];
+
+  // Only send the values jobs need
+  const needed = [...new Set(jobs.map(({ type }) => type))].reduce(
+    (needed, type) => ({ ...needed, [type]: values[type] }),
+    {}
+  );
+
+  let offset = 0;
+
+  while (offset < jobs.length) {
+    offset = await run(
+      idle.pop() || createWorker(),
+      needed,
+      jobs,
+      offset,
+      timeout,
+      matches,
+      timeouts
+    );
+  }
+
+  return { matches, timeouts };
+};
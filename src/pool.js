@@ -0,0 +1,183 @@
+import os from "os";
+import { Worker } from "worker_threads";
+
+const defaultConcurrency = () =>
+  Math.max(1, os.availableParallelism?.() || os.cpus().length);
+
+/**
+ * Scans in a pool of worker threads, so that HTML parsing and fingerprint
+ * matching of parallel scans run side by side instead of on the main thread.
+ * Each worker loads the fingerprint database once and runs one scan at a
+ * time; scans wait in a queue for a free worker.
+ */
+class WappalyzerPool {
+  #workerData;
+  #concurrency;
+  #workers = new Set();
+  #idle = [];
+  #tasks = new Map();
+  #queue = [];
+  #closing = null;
+  #closed = null;
+
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.concurrency] - Number of workers, defaults to the
+   *   number of CPUs.
+   * @param {object} [opts.technologies] - See `Wappalyzer`
+   * @param {object} [opts.categories]   - See `Wappalyzer`
+   */
+  constructor({ concurrency = defaultConcurrency(), technologies, categories } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error("concurrency must be a positive integer");
+    }
+
+    this.#concurrency = concurrency;
+    this.#workerData = { technologies, categories };
+  }
+
+  /**
+   * Number of workers, scans in progress and scans waiting for a worker.
+   *
+   * @returns {{ workers: number, active: number, queued: number }}
+   */
+  get stats() {
+    return {
+      workers: this.#workers.size,
+      active: this.#tasks.size,
+      queued: this.#queue.length,
+    };
+  }
+
+  /**
+   * See `Wappalyzer.scanHTML`.
+   *
+   * @param {string} html
+   * @param {object} [opts]
+   */
+  scanHTML(html, opts) {
+    return this.#run("scanHTML", [html, opts]);
+  }
+
+  /**
+   * See `Wappalyzer.scanURL`.
+   *
+   * @param {string} url
+   * @param {object} [opts]
+   */
+  scanURL(url, opts) {
+    return this.#run("scanURL", [url, opts]);
+  }
+
+  /**
+   * See `Wappalyzer.scanHAR`.
+   *
+   * @param {object|string} har
+   * @param {object} [opts]
+   */
+  scanHAR(har, opts) {
+    return this.#run("scanHAR", [har, opts]);
+  }
+
+  /**
+   * Stop accepting scans, wait for queued and running ones to finish, then
+   * stop the workers.
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.#closing) {
+      this.#closing = new Promise((resolve) => {
+        this.#closed = resolve;
+      });
+
+      this.#next();
+    }
+
+    return this.#closing;
+  }
+
+  #run(method, args) {
+    if (this.#closing) {
+      return Promise.reject(new Error("The pool is closed"));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.#queue.push({ method, args, resolve, reject });
+      this.#next();
+    });
+  }
+
+  #next() {
+    while (this.#queue.length) {
+      const worker =
+        this.#idle.pop() ||
+        (this.#workers.size < this.#concurrency ? this.#spawn() : null);
+
+      if (!worker) break;
+
+      const task = this.#queue.shift();
+
+      this.#tasks.set(worker, task);
+
+      worker.ref();
+      worker.postMessage({ method: task.method, args: task.args });
+    }
+
+    if (this.#closing && !this.#queue.length && !this.#tasks.size) {
+      Promise.all([...this.#workers].map((worker) => worker.terminate())).then(
+        () => this.#closed()
+      );
+
+      this.#workers.clear();
+      this.#idle = [];
+    }
+  }
+
+  #spawn() {
+    const worker = new Worker(new URL("./poolWorker.js", import.meta.url), {
+      workerData: this.#workerData,
+    });
+
+    // Settle the worker's scan and hand it the next one
+    const settle = (callback) => {
+      const task = this.#tasks.get(worker);
+
+      this.#tasks.delete(worker);
+
+      if (task) callback(task);
+    };
+
+    worker.on("message", ({ result, error }) => {
+      settle((task) =>
+        error ? task.reject(new Error(error)) : task.resolve(result)
+      );
+
+      // Idle workers don't keep the process alive
+      worker.unref();
+
+      this.#idle.push(worker);
+      this.#next();
+    });
+
+    // A crashed worker is replaced on the next scan
+    const remove = (error) => {
+      if (!this.#workers.delete(worker)) return;
+
+      this.#idle = this.#idle.filter((idle) => idle !== worker);
+
+      settle((task) => task.reject(error));
+
+      this.#next();
+    };
+
+    worker.on("error", remove);
+    worker.on("exit", (code) => remove(new Error(`Worker exited with code ${code}`)));
+
+    this.#workers.add(worker);
+
+    return worker;
+  }
+}
+
+export { WappalyzerPool };
@@ -0,0 +1,13 @@
+import { parentPort, workerData } from "worker_threads";
+import { Wappalyzer } from "../index.js";
+
+// Loads the fingerprint database once, on the first scan
+const wappalyzer = new Wappalyzer(workerData || {});
+
+parentPort.on("message", async ({ method, args }) => {
+  try {
+    parentPort.postMessage({ result: await wappalyzer[method](...args) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
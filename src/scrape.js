@@ -3,6 +3,12 @@ import https from "https";
 import Wordpress_Helpers from "./helpers/Wordpress.js";
 import Shopify_Helpers from "./helpers/Shopify.js";
 import Magento_Helpers from "./helpers/Magento.js";
+import normalizeCookies from "./utils/normalizeCookies.js";
+import normalizeHeaders from "./utils/normalizeHeaders.js";
+import normalizeURL from "./utils/normalizeURL.js";
+import getDomain from "./utils/getDomain.js";
+import readHAR from "./utils/readHAR.js";
+import readWARC from "./utils/readWARC.js";
 
 const createLogger = (config = {}) => {
   return (errors, functionName, message) => {
@@ -14,33 +20,189 @@ const createLogger = (config = {}) => {
   };
 };
 
+/**
+ * Fills in defaults for scan options. `helpers` and `debug` may also be
+ * passed as booleans.
+ *
+ * @param {Object} [config={}]
+ * @param {boolean|Object} [config.helpers=true] - Run helpers, or `{ run, wordpress, shopify, magento }`.
+ * @param {boolean|Object} [config.debug=false] - Collect errors, or `{ enabled }`.
+ * @param {Object} [config.assets] - External CSS/JS download settings.
+ * @param {number}   [config.assets.timeout=3000] - Timeout per asset, in ms.
+ * @param {number}   [config.assets.maxFiles=Infinity] - Max CSS and JS files to download.
+ * @param {number}   [config.assets.maxBytes=Infinity] - Max total bytes of CSS and JS to download.
+ * @param {boolean}  [config.assets.thirdParty=true] - Download assets hosted on other domains.
+ * @param {boolean|string} [config.inline=true] - Add inline script and style contents
+ *   to `scripts` and `css`, or keep them apart in `inline` with `"separate"`.
+ * @returns {Object}
+ */
+const resolveConfig = (config = {}) => {
+  const helpers =
+    typeof config.helpers === "boolean"
+      ? { run: config.helpers }
+      : config.helpers || {};
+  const debug =
+    typeof config.debug === "boolean"
+      ? { enabled: config.debug }
+      : config.debug || {};
+  const assets = config.assets || {};
+
+  return {
+    ...config,
+    helpers: {
+      run: helpers.run !== false,
+      wordpress: helpers.wordpress !== false,
+      shopify: helpers.shopify !== false,
+      magento: helpers.magento !== false,
+    },
+    debug: { enabled: !!debug.enabled },
+    assets: {
+      timeout: assets.timeout ?? 3000,
+      maxFiles: assets.maxFiles ?? Infinity,
+      maxBytes: assets.maxBytes ?? Infinity,
+      thirdParty: assets.thirdParty !== false,
+    },
+    inline: config.inline === "separate" ? "separate" : config.inline !== false,
+  };
+};
+
+/**
+ * Checks whether an asset is served from the page's site (the page's host
+ * or one of its subdomains, ignoring `www.`).
+ *
+ * @param {string} assetUrl
+ * @param {string} pageUrl
+ * @returns {boolean}
+ */
+const isFirstParty = (assetUrl, pageUrl) => {
+  const site = getDomain(pageUrl).hostname.toLowerCase().replace(/^www\./, "");
+  const host = getDomain(assetUrl).hostname.toLowerCase();
+
+  return !!site && (host === site || host.endsWith(`.${site}`));
+};
+
+/**
+ * Picks the asset URLs to download, dropping third-party assets when
+ * disabled and taking files from the shared budget.
+ *
+ * @param {string[]} urls
+ * @param {string} pageUrl
+ * @param {Object} config - Resolved config.
+ * @param {Object} budget - `{ files, bytes }` left for this scan.
+ * @returns {string[]}
+ */
+const selectAssets = (urls, pageUrl, config, budget) => {
+  const selected = (
+    config.assets.thirdParty
+      ? urls
+      : urls.filter((url) => isFirstParty(url, pageUrl))
+  ).slice(0, Math.max(0, budget.files));
+
+  budget.files -= selected.length;
+
+  return selected;
+};
+
+/**
+ * Reads a response body, stopping once the shared byte budget runs out.
+ *
+ * @param {Response} response
+ * @param {Object} [budget] - `{ bytes }` left for this scan.
+ * @returns {Promise<string>}
+ */
+const readAsset = async (response, budget) => {
+  if (!budget || budget.bytes === Infinity) {
+    return response.text();
+  }
+
+  if (budget.bytes <= 0 || !response.body) {
+    await response.body?.cancel().catch(() => null);
+    return "";
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+
+  for (;;) {
+    const { done, value } = await reader.read();
+
+    if (done) break;
+
+    const chunk = value.subarray(0, Math.max(0, budget.bytes));
+    budget.bytes -= chunk.length;
+    chunks.push(chunk);
+
+    if (budget.bytes <= 0) {
+      await reader.cancel().catch(() => null);
+      break;
+    }
+  }
+
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+/**
+ * Reads CSS or JS contents from recorded responses (e.g. a HAR file) instead
+ * of downloading them. Assets the page references come first, followed by
+ * the other recorded ones, within the same budget as downloads.
+ *
+ * @param {string[]} urls - Asset URLs referenced by the page.
+ * @param {Map<string, string>|Object<string, string>} recorded - Bodies by URL.
+ * @param {string} pageUrl
+ * @param {Object} config - Resolved config.
+ * @param {Object} budget - `{ files, bytes }` left for this scan.
+ * @returns {string}
+ */
+const readRecordedAssets = (urls, recorded = {}, pageUrl, config, budget) => {
+  const bodies = recorded instanceof Map ? recorded : new Map(Object.entries(recorded));
+
+  return selectAssets(
+    [...new Set([...urls.filter((url) => bodies.has(url)), ...bodies.keys()])],
+    pageUrl,
+    config,
+    budget
+  )
+    .map((url) => {
+      // Cut in bytes, as downloads are
+      const body = Buffer.from(String(bodies.get(url) ?? "")).subarray(
+        0,
+        Math.max(0, budget.bytes)
+      );
+
+      budget.bytes -= body.length;
+
+      return body.toString("utf8");
+    })
+    .join("\n");
+};
+
 /**
  * Fetches the content of multiple CSS files.
  *
  * @param {string[]} cssUrls - An array of CSS file URLs.
+ * @param {Array} errors
+ * @param {Function} logError
+ * @param {number} [timeout=3000] - Timeout per file, including its body, in ms.
+ * @param {Object} [budget] - `{ bytes }` left for this scan.
+ * @param {Function} [beforeFetch] - Awaited with each URL before it is fetched.
  * @returns {Promise<string>} - A concatenated string of CSS contents.
  */
-const fetchCSSContent = async (cssUrls, errors, logError, timeout = 3000) => {
-  const fetchWithTimeout = (url, options, timeout) => {
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        reject(new Error("Request timed out"));
-      }, timeout);
-
-      fetch(url, options)
-        .then((response) => {
-          clearTimeout(timer);
-          resolve(response);
-        })
-        .catch((err) => {
-          clearTimeout(timer);
-          reject(err);
-        });
-    });
-  };
+const fetchCSSContent = async (
+  cssUrls,
+  errors,
+  logError,
+  timeout = 3000,
+  budget,
+  beforeFetch = async () => {}
+) => {
+  // The signal also aborts reading the body, so slow bodies time out too
+  const fetchWithTimeout = (url, options, timeout) =>
+    fetch(url, { ...options, signal: AbortSignal.timeout(timeout) });
 
   const fetchSingleCSS = async (url) => {
     try {
+      await beforeFetch(url);
+
       const response = await fetchWithTimeout(url, { agent }, timeout);
       if (!response.ok) {
         logError(
@@ -50,7 +212,7 @@ const fetchCSSContent = async (cssUrls, errors, logError, timeout = 3000) => {
         );
         return "";
       }
-      return await response.text();
+      return await readAsset(response, budget);
     } catch (err) {
       logError(
         errors,
@@ -78,36 +240,35 @@ const fetchCSSContent = async (cssUrls, errors, logError, timeout = 3000) => {
  * Fetches the content of multiple JS files.
  *
  * @param {string[]} jsUrls - An array of JS file URLs.
+ * @param {Array} errors
+ * @param {Function} logError
+ * @param {number} [timeout=3000] - Timeout per file, including its body, in ms.
+ * @param {Object} [budget] - `{ bytes }` left for this scan.
+ * @param {Function} [beforeFetch] - Awaited with each URL before it is fetched.
  * @returns {Promise<string>} - A concatenated string of JS contents.
  */
-const fetchJSContent = async (scriptUrls, errors, logError, timeout = 3000) => {
+const fetchJSContent = async (
+  scriptUrls,
+  errors,
+  logError,
+  timeout = 3000,
+  budget,
+  beforeFetch = async () => {}
+) => {
   try {
     const agent = new https.Agent({ rejectUnauthorized: false });
 
-    const fetchWithTimeout = (url, options, timeout) => {
-      return new Promise((resolve, reject) => {
-        const timer = setTimeout(() => {
-          reject(new Error("Request timed out"));
-          logError(errors, "fetchJSContent", `Request timed out for ${url}`);
-        }, timeout);
-
-        fetch(url, options)
-          .then((response) => {
-            clearTimeout(timer);
-            resolve(response);
-          })
-          .catch((err) => {
-            clearTimeout(timer);
-            reject(err);
-          });
-      });
-    };
+    // The signal also aborts reading the body, so slow bodies time out too
+    const fetchWithTimeout = (url, options, timeout) =>
+      fetch(url, { ...options, signal: AbortSignal.timeout(timeout) });
 
     const jsContents = await Promise.all(
       scriptUrls.map(async (url) => {
         if (url.startsWith("blob:")) return "";
 
         try {
+          await beforeFetch(url);
+
           const response = await fetchWithTimeout(url, { agent }, timeout);
           if (!response.ok) {
             logError(
@@ -117,7 +278,7 @@ const fetchJSContent = async (scriptUrls, errors, logError, timeout = 3000) => {
             );
             return "";
           }
-          return await response.text();
+          return await readAsset(response, budget);
         } catch (err) {
           logError(
             errors,
@@ -136,32 +297,387 @@ const fetchJSContent = async (scriptUrls, errors, logError, timeout = 3000) => {
   }
 };
 
+const HTML_CHUNK_SIZE = 2000;
+const HTML_MAX_CHUNKS = 3000;
+const TEXT_MAX_LENGTH = 100000;
+
+// Bytes of a fetched document read at most, as much HTML as `extractDocument`
+// keeps. The rest is not downloaded.
+const DOCUMENT_MAX_BYTES = HTML_CHUNK_SIZE * HTML_MAX_CHUNKS;
+
+/**
+ * Extracts `meta`, `html` and `text` inputs from a parsed document.
+ * HTML is split into fixed-width chunks of which only the first and last are
+ * kept, and text is capped, so that regexes don't run over arbitrarily large
+ * documents. Chunks rather than lines keep minified, single-line pages intact
+ * up to the same size.
+ *
+ * @param {Object} $ - Cheerio instance.
+ * @returns {{ meta: Object, html: string, text: string }}
+ */
+const extractDocument = ($) => {
+  const meta = {};
+  $("meta").each((i, elem) => {
+    const key = $(elem).attr("name") || $(elem).attr("property");
+
+    if (key) {
+      const name = key.toLowerCase();
+      meta[name] = meta[name] || [];
+      meta[name].push($(elem).attr("content") || "");
+    }
+  });
+
+  const source = $.html() || "";
+  const chunks = Math.ceil(source.length / HTML_CHUNK_SIZE);
+  const html =
+    chunks > HTML_MAX_CHUNKS
+      ? [
+        source.slice(0, (HTML_MAX_CHUNKS / 2) * HTML_CHUNK_SIZE),
+        source.slice((chunks - HTML_MAX_CHUNKS / 2) * HTML_CHUNK_SIZE),
+      ].join("\n")
+      : source;
+
+  const body = $("body").clone();
+  body.find("script, style, noscript, template").remove();
+  const text = body.text().replace(/\s+/g, " ").trim().slice(0, TEXT_MAX_LENGTH);
+
+  return { meta, html, text };
+};
+
+/**
+ * Adds the contents of inline `<script>` and `<style>` elements (GTM
+ * containers, `__NEXT_DATA__`, framework styles, ...) to the external script
+ * and stylesheet contents, or keeps them apart in `inline` when
+ * `config.inline` is `"separate"`.
+ *
+ * @param {Object} $ - Cheerio instance.
+ * @param {Object} config - Resolved config.
+ * @param {{ scripts: string, css: string }} external - External contents.
+ * @returns {{ scripts: string, css: string, inline?: { scripts: string, css: string } }}
+ */
+const addInlineContent = ($, config, { scripts, css }) => {
+  if (!config.inline) return { scripts, css };
+
+  const read = (selector) =>
+    $(selector)
+      .map((i, elem) => $(elem).text())
+      .get()
+      .filter((content) => content.trim())
+      .join("\n");
+
+  const inline = { scripts: read("script:not([src])"), css: read("style") };
+
+  if (config.inline === "separate") return { scripts, css, inline };
+
+  return {
+    scripts: [scripts, inline.scripts].filter(Boolean).join("\n"),
+    css: [css, inline.css].filter(Boolean).join("\n"),
+  };
+};
+
+/**
+ * Resolves JavaScript property chains inside the page and returns only the
+ * ones that are defined, keyed by chain.
+ *
+ * @param {Object} page - Puppeteer or Playwright page object.
+ * @param {string[]} chains - Property chains such as `jQuery.fn.jquery`.
+ * @returns {Promise<Object>} - Map of chain to scalar value.
+ */
+const evaluateJsChains = async (page, chains) => {
+  if (!chains.length) return {};
+
+  return page.evaluate((chains) => {
+    const results = {};
+
+    chains.forEach((chain) => {
+      try {
+        const value = chain
+          .split(".")
+          .reduce(
+            (value, property) =>
+              value &&
+              value instanceof Object &&
+              Object.prototype.hasOwnProperty.call(value, property)
+                ? value[property]
+                : undefined,
+            window
+          );
+
+        if (typeof value !== "undefined") {
+          results[chain] =
+            typeof value === "string" || typeof value === "number"
+              ? value
+              : !!value;
+        }
+      } catch {
+        // Getter threw, treat the chain as undefined
+      }
+    });
+
+    return results;
+  }, chains);
+};
+
+/**
+ * Reads headers, status and redirect chain from the Playwright or Puppeteer
+ * `Response` of a navigation. Header names are lowercased and every value of
+ * a repeated header is kept.
+ *
+ * @param {Object} response - Playwright `Response` or Puppeteer `HTTPResponse`.
+ * @returns {Promise<Object>} - `{ url, status, headers, redirects }`.
+ */
+const readNavigationResponse = async (response) => {
+  const headers = {};
+
+  const addHeader = (name, value) => {
+    const key = name.toLowerCase();
+
+    headers[key] = headers[key] || [];
+    // Puppeteer joins repeated headers with newlines
+    headers[key].push(...String(value).split("\n"));
+  };
+
+  if (typeof response.headersArray === "function") {
+    (await response.headersArray()).forEach(({ name, value }) =>
+      addHeader(name, value)
+    );
+  } else {
+    Object.entries(response.headers() || {}).forEach(([name, value]) =>
+      addHeader(name, value)
+    );
+  }
+
+  const request = typeof response.request === "function" ? response.request() : null;
+  const redirects = [];
+
+  if (request && typeof request.redirectChain === "function") {
+    // Puppeteer
+    request.redirectChain().forEach((redirect) => {
+      const redirectResponse = redirect.response();
+
+      redirects.push({
+        url: redirect.url(),
+        status: redirectResponse ? redirectResponse.status() : null,
+      });
+    });
+  } else if (request && typeof request.redirectedFrom === "function") {
+    // Playwright
+    for (let redirect = request.redirectedFrom(); redirect; redirect = redirect.redirectedFrom()) {
+      const redirectResponse = await redirect.response().catch(() => null);
+
+      redirects.unshift({
+        url: redirect.url(),
+        status: redirectResponse ? redirectResponse.status() : null,
+      });
+    }
+  }
+
+  return {
+    url: response.url(),
+    status: response.status(),
+    headers,
+    redirects,
+  };
+};
+
+/**
+ * The frame a request was made from, or null (e.g. for service workers).
+ *
+ * @param {Object} request - Playwright `Request` or Puppeteer `HTTPRequest`.
+ * @returns {Object|null}
+ */
+const getFrame = (request) => {
+  try {
+    return request.frame() || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Tells whether a request is a navigation of the page's main frame.
+ *
+ * @param {Object} page - Puppeteer or Playwright page object.
+ * @param {Object} request - Playwright `Request` or Puppeteer `HTTPRequest`.
+ * @returns {boolean}
+ */
+const isMainFrameNavigation = (page, request) =>
+  request.isNavigationRequest() &&
+  (typeof page.mainFrame !== "function" || getFrame(request) === page.mainFrame());
+
+/**
+ * Listens for navigation responses on a page so that the real document
+ * headers are available when the page is scanned later: the main frame's in
+ * `response`, and those of child frames in `frames`, by frame.
+ *
+ * With `network`, the URL and resource type of every request are recorded
+ * too, along with the bodies of script and stylesheet responses, so that assets the browser
+ * already downloaded (including ones injected by scripts) don't have to be
+ * fetched again. Each is kept with the frame it was requested from, see
+ * `getFrameNetwork`. Recordings are cleared when the main frame navigates.
+ *
+ * @param {Object} page - Puppeteer or Playwright page object.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.network=false] - Record requests and asset bodies.
+ * @returns {{ response: Object|null, frames: Map, network: Object|null, detach: Function }}
+ */
+const trackNavigation = (page, { network = false } = {}) => {
+  const tracker = { response: null, frames: new Map(), network: null };
+
+  const reset = () => {
+    tracker.network = { requests: new Map(), assets: { scripts: new Map(), css: new Map() } };
+  };
+
+  if (network) reset();
+
+  const onRequest = (request) => {
+    try {
+      if (isMainFrameNavigation(page, request)) reset();
+
+      const url = request.url();
+
+      if (/^https?:/i.test(url)) {
+        tracker.network.requests.set(url, {
+          frame: getFrame(request),
+          type: request.resourceType(),
+        });
+      }
+    } catch {
+      // Requests that can't be read are ignored
+    }
+  };
+
+  const onResponse = (response) => {
+    try {
+      const request = response.request();
+
+      if (tracker.network) {
+        const type = request.resourceType();
+        const kind = { script: "scripts", stylesheet: "css" }[type];
+        const status = response.status();
+
+        // Read bodies now, browsers may discard them later
+        if (kind && status >= 200 && status < 300) {
+          tracker.network.assets[kind].set(response.url(), {
+            frame: getFrame(request),
+            body: response.text().catch(() => null),
+          });
+        }
+      }
+
+      if (isMainFrameNavigation(page, request)) {
+        tracker.response = response;
+        tracker.frames = new Map();
+      } else if (request.isNavigationRequest() && getFrame(request)) {
+        tracker.frames.set(getFrame(request), response);
+      }
+    } catch {
+      // Requests without a frame (e.g. service workers) are ignored
+    }
+  };
+
+  if (network) page.on("request", onRequest);
+  page.on("response", onResponse);
+
+  tracker.detach = () => {
+    if (network) page.off("request", onRequest);
+    page.off("response", onResponse);
+  };
+
+  return tracker;
+};
+
+/**
+ * Narrows the requests and asset bodies recorded by `trackNavigation` to
+ * those of one frame.
+ *
+ * @param {Object} network - `{ requests, assets }` recorded by `trackNavigation`.
+ * @param {Object} frame - Playwright or Puppeteer `Frame`.
+ * @returns {Object} - `{ requests, assets }`, in the same shape.
+ */
+const getFrameNetwork = ({ requests, assets }, frame) => {
+  const select = (entries, getEntryFrame) =>
+    new Map([...entries].filter(([, value]) => getEntryFrame(value) === frame));
+
+  return {
+    requests: select(requests, (request) => request.frame),
+    assets: {
+      scripts: select(assets.scripts, (asset) => asset.frame),
+      css: select(assets.css, (asset) => asset.frame),
+    },
+  };
+};
+
+/**
+ * Waits for the asset bodies recorded by `trackNavigation`, giving up on each
+ * after `timeout`.
+ *
+ * @param {Object} network - `{ requests, assets }` recorded by `trackNavigation`.
+ * @param {number} timeout - In ms.
+ * @returns {Promise<Object>} - `{ requests: string[], scripts: string[], assets:
+ *   { scripts, css } }`: every request URL, those of scripts, and assets as Maps
+ *   of URL to body.
+ */
+const readNetwork = async ({ requests, assets }, timeout) => {
+  const readBodies = async (bodies) => {
+    const entries = await Promise.all(
+      [...bodies].map(async ([url, { body }]) => {
+        let timer;
+
+        const text = await Promise.race([
+          body,
+          new Promise((resolve) => {
+            timer = setTimeout(() => resolve(null), timeout);
+          }),
+        ]);
+
+        clearTimeout(timer);
+
+        return [url, text];
+      })
+    );
+
+    return new Map(entries.filter(([, text]) => typeof text === "string"));
+  };
+
+  return {
+    requests: [...requests.keys()],
+    scripts: [...requests].filter(([, { type }]) => type === "script").map(([url]) => url),
+    assets: {
+      scripts: await readBodies(assets.scripts),
+      css: await readBodies(assets.css),
+    },
+  };
+};
+
+const helperModules = {
+  wordpress: Wordpress_Helpers,
+  shopify: Shopify_Helpers,
+  magento: Magento_Helpers,
+};
 
 const runHelpers = async (url, dom, config) => {
   const shouldRunHelpers = config?.helpers?.run !== false;
 
   if (shouldRunHelpers) {
     const helperStart = performance.now();
+    const helpers = [];
 
-    const wordpress = await Wordpress_Helpers.scan({
-      url,
-      dom,
-    });
-
-    const shopify = await Shopify_Helpers.scan({
-      url,
-      dom,
-    });
+    for (const [name, helper] of Object.entries(helperModules)) {
+      if (config?.helpers?.[name] === false) continue;
 
-    const magento = await Magento_Helpers.scan({
-      url,
-      dom,
-    });
+      helpers.push(
+        await helper.scan({
+          url,
+          dom,
+        })
+      );
+    }
 
     const helperDuration = performance.now() - helperStart;
 
     return {
-      helpers: [wordpress, shopify, magento],
+      helpers,
       duration: helperDuration,
     };
   } else {
@@ -173,14 +689,24 @@ const runHelpers = async (url, dom, config) => {
 };
 
 /**
- * Extracts technologies from an already-open Puppeteer/Playwright page.
+ * Extracts technologies from an already-open Puppeteer/Playwright page, or
+ * one of its frames. Frames have no cookies of their own.
  *
- * @param {Object} page - Puppeteer or Playwright page object.
+ * @param {Object} page - Puppeteer or Playwright page or frame object.
  * @param {string} [url] - Optional URL override.
- * @param {Object} [config={}] - Configuration object.
+ * @param {Object} [options={}] - Scan options, see `resolveConfig`.
+ * @param {string[]} [options.js.chains] - JS property chains to resolve in the
+ *   page. When omitted, `window` is serialized three levels deep instead.
+ * @param {Object} [options.response] - Playwright/Puppeteer `Response` of the
+ *   main document. When omitted, headers are re-requested from the page.
+ * @param {Object} [options.network] - Requests and asset bodies recorded by
+ *   `trackNavigation`, or those of one frame (see `getFrameNetwork`). When given,
+ *   scripts and stylesheets are read from it instead of downloaded, request URLs
+ *   are used for the `xhr` relation and those of scripts for `scriptSrc`.
  * @returns {Promise<Object>} - Payload ready for Wappalyzer analysis.
  */
-const extractTechnologiesFromPage = async (page, url, config = {}) => {
+const extractTechnologiesFromPage = async (page, url, options = {}) => {
+  const config = resolveConfig(options);
   const errors = [];
   const logError = createLogger(config);
 
@@ -196,73 +722,87 @@ const extractTechnologiesFromPage = async (page, url, config = {}) => {
 
     const HTML = await page.content();
     const $ = cheerio.load(HTML);
+    const { meta, html, text } = extractDocument($);
 
-    const js = await page
-      .evaluate(() => {
-        function extractProperties(
-          obj,
-          depth = 0,
-          maxDepth = 3,
-          seen = new WeakSet()
-        ) {
-          if (
-            !obj ||
-            typeof obj !== "object" ||
-            seen.has(obj) ||
-            depth > maxDepth
+    const chains = Array.isArray(config.js?.chains) ? config.js.chains : null;
+
+    const js = await (chains
+      ? evaluateJsChains(page, chains)
+      : page.evaluate(() => {
+          function extractProperties(
+            obj,
+            depth = 0,
+            maxDepth = 3,
+            seen = new WeakSet()
           ) {
-            return {};
-          }
+            if (
+              !obj ||
+              typeof obj !== "object" ||
+              seen.has(obj) ||
+              depth > maxDepth
+            ) {
+              return {};
+            }
+
+            seen.add(obj);
+            const extracted = {};
 
-          seen.add(obj);
-          const extracted = {};
-
-          for (const key in obj) {
-            try {
-              if (Object.prototype.hasOwnProperty.call(obj, key)) {
-                const value = obj[key];
-
-                if (typeof value === "function") {
-                  extracted[key] = "Function()";
-                } else if (typeof value === "object" && value !== null) {
-                  extracted[key] = extractProperties(
-                    value,
-                    depth + 1,
-                    maxDepth,
-                    seen
-                  );
-                } else {
-                  extracted[key] = value;
+            for (const key in obj) {
+              try {
+                if (Object.prototype.hasOwnProperty.call(obj, key)) {
+                  const value = obj[key];
+
+                  if (typeof value === "function") {
+                    extracted[key] = "Function()";
+                  } else if (typeof value === "object" && value !== null) {
+                    extracted[key] = extractProperties(
+                      value,
+                      depth + 1,
+                      maxDepth,
+                      seen
+                    );
+                  } else {
+                    extracted[key] = value;
+                  }
                 }
+              } catch (err) {
+                extracted[key] = `Error: ${err.message}`;
               }
-            } catch (err) {
-              extracted[key] = `Error: ${err.message}`;
             }
+
+            return extracted;
           }
 
-          return extracted;
-        }
+          return extractProperties(window);
+        })
+    ).catch((err) => {
+      logError(errors, "extractTechnologiesFromPage", `JS extraction failed: ${err.message}`);
+      return {};
+    });
 
-        return extractProperties(window);
+    const navigation = config.response
+      ? await readNavigationResponse(config.response).catch((err) => {
+        logError(errors, "extractTechnologiesFromPage", `Response extraction failed: ${err.message}`);
+        return null;
       })
-      .catch((err) => {
-        logError(errors, "extractTechnologiesFromPage", `JS extraction failed: ${err.message}`);
-        return {};
-      });
+      : null;
 
-    const headers = await page
-      .evaluate(async () => {
-        try {
-          const response = await fetch(window.location.href, { method: "GET" });
-          return Object.fromEntries(response.headers.entries());
-        } catch {
+    // Without a navigation response, fall back to re-requesting the document
+    const headers = navigation
+      ? navigation.headers
+      : await page
+        .evaluate(async () => {
+          try {
+            const response = await fetch(window.location.href, { method: "GET" });
+            return Object.fromEntries(response.headers.entries());
+          } catch {
+            return {};
+          }
+        })
+        .catch((err) => {
+          logError(errors, "extractTechnologiesFromPage", `Header extraction failed: ${err.message}`);
           return {};
-        }
-      })
-      .catch((err) => {
-        logError(errors, "extractTechnologiesFromPage", `Header extraction failed: ${err.message}`);
-        return {};
-      });
+        });
 
     let cookies = [];
     try {
@@ -312,28 +852,51 @@ const extractTechnologiesFromPage = async (page, url, config = {}) => {
       }
     });
 
-    const externalCssContent = await fetchCSSContent(
-      cssUrls,
-      errors,
-      logError
-    ).catch(() => "");
+    const budget = { files: config.assets.maxFiles, bytes: config.assets.maxBytes };
 
-    const externalJsContent = await fetchJSContent(
-      scriptSrc,
-      errors,
-      logError
-    ).catch(() => "");
+    const network = config.network
+      ? await readNetwork(config.network, config.assets.timeout)
+      : null;
+
+    const externalCssContent = network
+      ? readRecordedAssets(cssUrls, network.assets.css, pageUrl, config, budget)
+      : await fetchCSSContent(
+        selectAssets(cssUrls, pageUrl, config, budget),
+        errors,
+        logError,
+        config.assets.timeout,
+        budget,
+        config.beforeFetch
+      ).catch(() => "");
+
+    const externalJsContent = network
+      ? readRecordedAssets(scriptSrc, network.assets.scripts, pageUrl, config, budget)
+      : await fetchJSContent(
+        selectAssets(scriptSrc, pageUrl, config, budget),
+        errors,
+        logError,
+        config.assets.timeout,
+        budget,
+        config.beforeFetch
+      ).catch(() => "");
 
     return {
       url: pageUrl,
       js,
-      scriptSrc,
-      scripts: externalJsContent,
-      css: externalCssContent,
-      headers,
-      cookies,
+      // Only script requests, the others (images, fonts, XHR) are for `xhr`
+      scriptSrc: network ? [...new Set([...scriptSrc, ...network.scripts])] : scriptSrc,
+      ...addInlineContent($, config, { scripts: externalJsContent, css: externalCssContent }),
+      meta,
+      html,
+      text,
+      headers: normalizeHeaders(headers),
+      cookies: normalizeCookies(cookies, headers),
       certIssuer: null,
+      xhr: network ? network.requests : [],
       dom: $,
+      response: navigation
+        ? { url: navigation.url, status: navigation.status, redirects: navigation.redirects }
+        : null,
       helpers,
       performance: {
         fetchDuration: performance.now() - start,
@@ -357,21 +920,30 @@ const extractTechnologiesFromPage = async (page, url, config = {}) => {
  * @param {string} html - Raw HTML string.
  * @param {object} [opts]
  * @param {string}   [opts.url="about:blank"] - Base URL for resolving relative links.
- * @param {object}   [opts.headers={}]        - Response headers.
- * @param {Array}    [opts.cookies=[]]        - Cookies array.
+ * @param {object}   [opts.headers={}]        - Response headers, in any shape
+ *   accepted by `normalizeHeaders`.
+ * @param {Array|Object|string} [opts.cookies=[]] - Cookies, in any shape accepted
+ *   by `normalizeCookies`.
+ * @param {Object}   [opts.assets]   - Recorded `{ scripts, css }` bodies by URL, read
+ *   instead of downloading external assets.
+ * @param {string[]} [opts.requests] - URLs requested by the page, used for the
+ *   `scriptSrc` and `xhr` relations.
+ * @param {Object} [options={}] - Scan options, see `resolveConfig`.
  * @returns {Promise<Object>} - Payload ready for WappalyzerCore analysis.
  */
 const extractTechnologiesFromHTML = async (
   html,
-  { url = "about:blank", headers = {}, cookies = [] } = {}
+  { url = "about:blank", headers = {}, cookies = [], assets = null, requests = [] } = {},
+  options = {}
 ) => {
-  const config = { helpers: { run: true }, debug: { enabled: false } };
+  const config = resolveConfig(options);
   const errors = [];
   const logError = createLogger(config);
   const start = performance.now();
 
   try {
     const $ = cheerio.load(html);
+    const content = extractDocument($);
 
     const scriptSrc = [];
     $("script[src]").each((i, elem) => {
@@ -391,8 +963,21 @@ const extractTechnologiesFromHTML = async (
       }
     });
 
-    const externalCssContent = await fetchCSSContent(cssUrls, errors, logError).catch(() => "");
-    const externalJsContent = await fetchJSContent(scriptSrc, errors, logError).catch(() => "");
+    const budget = { files: config.assets.maxFiles, bytes: config.assets.maxBytes };
+    const { timeout } = config.assets;
+
+    const externalCssContent = assets
+      ? readRecordedAssets(cssUrls, assets.css, url, config, budget)
+      : await fetchCSSContent(
+        selectAssets(cssUrls, url, config, budget), errors, logError, timeout, budget,
+        config.beforeFetch
+      ).catch(() => "");
+    const externalJsContent = assets
+      ? readRecordedAssets(scriptSrc, assets.scripts, url, config, budget)
+      : await fetchJSContent(
+        selectAssets(scriptSrc, url, config, budget), errors, logError, timeout, budget,
+        config.beforeFetch
+      ).catch(() => "");
 
     const { helpers, duration: helperDuration } = await runHelpers(url, $, config).catch((err) => {
       logError(errors, "runHelpers", err.message);
@@ -402,12 +987,15 @@ const extractTechnologiesFromHTML = async (
     return {
       url,
       js: {},
-      scriptSrc,
-      scripts: externalJsContent,
-      css: externalCssContent,
-      headers,
-      cookies,
+      scriptSrc: [...new Set([...scriptSrc, ...requests])],
+      ...addInlineContent($, config, { scripts: externalJsContent, css: externalCssContent }),
+      meta: content.meta,
+      html: content.html,
+      text: content.text,
+      headers: normalizeHeaders(headers),
+      cookies: normalizeCookies(cookies, headers),
       certIssuer: null,
+      xhr: requests,
       dom: $,
       helpers,
       performance: {
@@ -422,4 +1010,239 @@ const extractTechnologiesFromHTML = async (
   }
 };
 
-export { extractTechnologiesFromPage, extractTechnologiesFromHTML };
+// Whether a host is a domain or one of its subdomains
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Reads a `Set-Cookie` value into the cookie to send back, scoped to its
+ * `Domain` attribute or, without one, to the host that set it.
+ *
+ * @param {string} cookie - `Set-Cookie` value.
+ * @param {string} host - Host of the response that set it.
+ * @returns {{ name: string, value: string, domain: string, hostOnly: boolean }|null}
+ *   - Null when invalid, or set for a domain the host isn't part of.
+ */
+const parseSetCookie = (cookie, host) => {
+  const [pair, ...attributes] = cookie.split(";");
+  const index = pair.indexOf("=");
+
+  if (index <= 0) return null;
+
+  const domain = attributes
+    .map((attribute) => attribute.trim())
+    .find((attribute) => /^domain=/i.test(attribute))
+    ?.slice(7)
+    .trim()
+    .replace(/^\./, "")
+    .toLowerCase();
+
+  if (domain && !matchesDomain(host, domain)) return null;
+
+  return {
+    name: pair.slice(0, index).trim(),
+    value: pair.slice(index + 1).trim(),
+    domain: domain || host,
+    hostOnly: !domain,
+  };
+};
+
+/**
+ * Fetches a document over plain HTTP, following redirects by hand so that the
+ * redirect chain and cookies set along the way are kept. Cookies are only sent
+ * back to the hosts they were set for.
+ *
+ * @param {string} url - Absolute URL.
+ * @param {object} [opts]
+ * @param {number}   [opts.timeout=10000]  - Timeout per request, in ms.
+ * @param {number}   [opts.maxRedirects=10] - Redirects to follow before giving up.
+ * @param {object}   [opts.headers={}]     - Request headers.
+ * @param {Function} [opts.beforeFetch]    - Awaited with each URL before it is
+ *   fetched, redirects included.
+ * @returns {Promise<Object>} - `{ url, status, headers, setCookies, redirects, html }`.
+ *   `html` is cut short after `DOCUMENT_MAX_BYTES`.
+ */
+const fetchDocument = async (
+  url,
+  {
+    timeout = 10000,
+    maxRedirects = 10,
+    headers: requestHeaders = {},
+    beforeFetch = async () => {},
+  } = {}
+) => {
+  const redirects = [];
+  const setCookies = [];
+  // Cookies by domain and name
+  const jar = new Map();
+  let currentUrl = url;
+
+  for (;;) {
+    const { hostname: host } = new URL(currentUrl);
+    const cookieHeader = [...jar.values()]
+      .filter(({ domain, hostOnly }) => (hostOnly ? host === domain : matchesDomain(host, domain)))
+      .map(({ name, value }) => `${name}=${value}`)
+      .join("; ");
+
+    await beforeFetch(currentUrl);
+
+    const response = await fetch(currentUrl, {
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeout),
+      headers: {
+        ...requestHeaders,
+        ...(cookieHeader ? { cookie: cookieHeader } : {}),
+      },
+    });
+
+    response.headers.getSetCookie().forEach((cookie) => {
+      setCookies.push(cookie);
+
+      const parsed = parseSetCookie(cookie, host);
+
+      if (parsed) {
+        jar.set(`${parsed.domain};${parsed.name}`, parsed);
+      }
+    });
+
+    const location = response.headers.get("location");
+
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects.length >= maxRedirects) {
+        throw new Error(`Too many redirects fetching ${url}`);
+      }
+
+      redirects.push({ url: currentUrl, status: response.status });
+      currentUrl = new URL(location, currentUrl).toString();
+
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => null);
+
+      continue;
+    }
+
+    const headers = {};
+
+    response.headers.forEach((value, name) => {
+      headers[name] = name === "set-cookie" ? response.headers.getSetCookie() : [value];
+    });
+
+    return {
+      url: currentUrl,
+      status: response.status,
+      headers,
+      setCookies,
+      redirects,
+      html: await readAsset(response, { bytes: DOCUMENT_MAX_BYTES }),
+    };
+  }
+};
+
+/**
+ * Extracts technologies from a URL fetched over plain HTTP, without a browser.
+ *
+ * @param {string} url - URL to fetch. A missing scheme defaults to https.
+ * @param {object} [opts] - Options passed to `fetchDocument`.
+ * @param {Object} [options={}] - Scan options, see `resolveConfig`.
+ * @returns {Promise<Object>} - Payload ready for WappalyzerCore analysis.
+ */
+const extractTechnologiesFromURL = async (url, opts = {}, options = {}) => {
+  const start = performance.now();
+  const fetched = await fetchDocument(normalizeURL(url), opts);
+
+  const payload = await extractTechnologiesFromHTML(fetched.html, {
+    url: fetched.url,
+    headers: fetched.headers,
+    cookies: fetched.setCookies,
+  }, options);
+
+  return {
+    ...payload,
+    response: {
+      url: fetched.url,
+      status: fetched.status,
+      redirects: fetched.redirects,
+    },
+    performance: {
+      ...payload.performance,
+      fetchDuration: performance.now() - start,
+    },
+  };
+};
+
+/**
+ * Extracts technologies from a HAR recording, without network access. Script
+ * and stylesheet bodies are read from the recording, and every request URL is
+ * used for the `scriptSrc` and `xhr` relations.
+ *
+ * @param {Object|string} har - HAR object, or its JSON.
+ * @param {object} [opts] - Options passed to `readHAR`.
+ * @param {Object} [options={}] - Scan options, see `resolveConfig`.
+ * @returns {Promise<Object>} - Payload ready for WappalyzerCore analysis.
+ */
+const extractTechnologiesFromHAR = async (har, opts = {}, options = {}) => {
+  const recorded = readHAR(har, opts);
+
+  const payload = await extractTechnologiesFromHTML(recorded.html, {
+    url: recorded.url,
+    headers: recorded.headers,
+    cookies: recorded.setCookies,
+    assets: recorded.assets,
+    requests: recorded.requests,
+  }, options);
+
+  return {
+    ...payload,
+    response: {
+      url: recorded.url,
+      status: recorded.status,
+      redirects: recorded.redirects,
+    },
+  };
+};
+
+/**
+ * Extracts technologies from every page captured in a WARC archive, without
+ * network access, yielding one payload per page as the archive is read.
+ * Script and stylesheet bodies are read from the archive.
+ *
+ * A page that fails to parse is yielded as `{ response, error }`; an unreadable
+ * archive throws.
+ *
+ * @param {string|AsyncIterable<Buffer>} input - File path or stream, see `readWARC`.
+ * @param {object} [opts] - Options passed to `readWARC`.
+ * @param {Object} [options={}] - Scan options, see `resolveConfig`.
+ * @returns {AsyncGenerator<Object>} - Payloads ready for WappalyzerCore analysis.
+ */
+const extractTechnologiesFromWARC = async function* (input, opts = {}, options = {}) {
+  for await (const page of readWARC(input, opts)) {
+    const response = {
+      url: page.url,
+      status: page.status,
+      redirects: page.redirects,
+      date: page.date,
+    };
+
+    try {
+      const payload = await extractTechnologiesFromHTML(page.html, {
+        url: page.url,
+        headers: page.headers,
+        cookies: page.setCookies,
+        assets: page.assets,
+      }, options);
+
+      yield { ...payload, response };
+    } catch (error) {
+      yield { response, error };
+    }
+  }
+};
+
+export {
+  extractTechnologiesFromPage,
+  extractTechnologiesFromHTML,
+  extractTechnologiesFromURL,
+  extractTechnologiesFromHAR,
+  extractTechnologiesFromWARC,
+  trackNavigation,
+  getFrameNetwork,
+};
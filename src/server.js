@@ -0,0 +1,286 @@
+import http from "http";
+import { Wappalyzer } from "../index.js";
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+
+    this.status = status;
+  }
+}
+
+const sendJSON = (res, status, body) => {
+  const json = JSON.stringify(body);
+
+  res.writeHead(status, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": Buffer.byteLength(json),
+  });
+  res.end(json);
+};
+
+/**
+ * Read a request body, up to `limit` bytes.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {number} limit
+ * @returns {Promise<string>}
+ */
+const readBody = (req, limit) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    if (Number(req.headers["content-length"]) > limit) {
+      reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+      req.resume();
+      return;
+    }
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+
+      if (size > limit) {
+        reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+        req.removeAllListeners("data");
+        req.resume();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+const isJSON = (req) =>
+  /^application\/(?:[\w.+-]+\+)?json\b/i.test(req.headers["content-type"] || "");
+
+const decode = (component) => {
+  try {
+    return decodeURIComponent(component);
+  } catch (error) {
+    throw new HttpError(400, `Invalid URL component: ${component}`);
+  }
+};
+
+/**
+ * Keep the scan options a client may set.
+ *
+ * @param {*} options
+ * @param {string[]} allowed
+ * @returns {object}
+ */
+const pickOptions = (options = {}, allowed) => {
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new HttpError(400, "options must be an object");
+  }
+
+  return allowed.reduce(
+    (picked, key) => (key in options ? { ...picked, [key]: options[key] } : picked),
+    {}
+  );
+};
+
+const parseJSON = (body) => {
+  try {
+    const parsed = JSON.parse(body);
+
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error();
+    }
+
+    return parsed;
+  } catch (error) {
+    throw new HttpError(400, "Request body must be a JSON object");
+  }
+};
+
+/**
+ * Create an HTTP server exposing scans and the fingerprint database as JSON:
+ *
+ * - `POST /scan/html` — `{ html, url, headers, cookies, options }`, or a raw HTML
+ *   body with the page URL in the `url` query parameter
+ * - `POST /scan/url` — `{ url, options }`
+ * - `GET /technologies/:slug` — a technology, by slug or name
+ * - `GET /categories`
+ * - `GET /health`
+ *
+ * Errors are returned as `{ error }` with a matching status code. Scans beyond
+ * `concurrency` wait in a queue; requests beyond `maxQueue` get a 503.
+ *
+ * The server isn't started; call `listen()` on it.
+ *
+ * @param {object} [opts]
+ * @param {Wappalyzer} [opts.wappalyzer]       - Instance to scan with, defaults to a
+ *   new one with the bundled database
+ * @param {number}     [opts.maxBodySize=5242880] - Max request body, in bytes
+ * @param {number}     [opts.concurrency=4]     - Scans running at the same time
+ * @param {number}     [opts.maxQueue=100]      - Scans waiting for a free slot
+ * @param {object}     [opts.scanOptions={}]    - Scan options applied to every scan,
+ *   e.g. `{ assets: { maxFiles: 0 } }` to never download external assets
+ * @param {string[]}   [opts.requestOptions=["evidence"]] - Scan options a request
+ *   may set in `options`; others are ignored, since options such as `timeout`
+ *   or `assets` would let clients choose what the server fetches
+ * @returns {http.Server}
+ */
+const createServer = ({
+  wappalyzer = new Wappalyzer(),
+  maxBodySize = 5 * 1024 * 1024,
+  concurrency = 4,
+  maxQueue = 100,
+  scanOptions = {},
+  requestOptions = ["evidence"],
+} = {}) => {
+  let active = 0;
+  const queue = [];
+
+  // Run a scan once a slot is free
+  const schedule = async (scan) => {
+    if (active >= concurrency) {
+      if (queue.length >= maxQueue) {
+        throw new HttpError(503, "Too many scans in progress, try again later");
+      }
+
+      await new Promise((resolve) => queue.push(resolve));
+    } else {
+      active++;
+    }
+
+    try {
+      return await scan();
+    } finally {
+      const next = queue.shift();
+
+      // Hand the slot over to the next scan
+      next ? next() : active--;
+    }
+  };
+
+  const scanResponse = (res, result, failureStatus) =>
+    sendJSON(res, result.error ? failureStatus : 200, result);
+
+  const routes = {
+    "GET /health": async (req, res) =>
+      sendJSON(res, 200, { status: "ok", active, queued: queue.length }),
+
+    "GET /categories": async (req, res) =>
+      sendJSON(res, 200, await wappalyzer.getCategories()),
+
+    "GET /technologies/:slug": async (req, res, { slug }) => {
+      const technology = await wappalyzer.getTechnology(slug);
+
+      if (!technology) {
+        throw new HttpError(404, `Technology does not exist: ${slug}`);
+      }
+
+      sendJSON(res, 200, technology);
+    },
+
+    "POST /scan/html": async (req, res, params, url) => {
+      const body = await readBody(req, maxBodySize);
+      const {
+        html,
+        url: pageUrl,
+        headers,
+        cookies,
+        options,
+      } = isJSON(req)
+        ? parseJSON(body)
+        : { html: body, url: url.searchParams.get("url") || undefined };
+
+      if (typeof html !== "string" || !html.trim()) {
+        throw new HttpError(400, "html must be a non-empty string");
+      }
+
+      const picked = pickOptions(options, requestOptions);
+      const result = await schedule(() =>
+        wappalyzer.scanHTML(html, {
+          ...picked,
+          ...scanOptions,
+          url: pageUrl,
+          headers,
+          cookies,
+        })
+      );
+
+      scanResponse(res, result, 500);
+    },
+
+    "POST /scan/url": async (req, res) => {
+      const { url, options } = parseJSON(await readBody(req, maxBodySize));
+
+      if (typeof url !== "string" || !url.trim()) {
+        throw new HttpError(400, "url must be a non-empty string");
+      }
+
+      const picked = pickOptions(options, requestOptions);
+      const result = await schedule(() =>
+        wappalyzer.scanURL(url, { ...picked, ...scanOptions })
+      );
+
+      scanResponse(res, result, 502);
+    },
+  };
+
+  // Match a request to a route, e.g. `GET /technologies/:slug`
+  const route = (method, pathname) => {
+    let allowed = false;
+
+    for (const [key, handler] of Object.entries(routes)) {
+      const [_method, pattern] = key.split(" ");
+      const names = [];
+      const regex = new RegExp(
+        `^${pattern.replace(/:(\w+)/g, (_, name) => {
+          names.push(name);
+          return "([^/]+)";
+        })}/?$`
+      );
+      const matches = regex.exec(pathname);
+
+      if (!matches) continue;
+
+      if (_method !== method) {
+        allowed = true;
+        continue;
+      }
+
+      return {
+        handler,
+        params: names.reduce(
+          (params, name, index) => ({
+            ...params,
+            [name]: decode(matches[index + 1]),
+          }),
+          {}
+        ),
+      };
+    }
+
+    throw allowed
+      ? new HttpError(405, `Method not allowed: ${method} ${pathname}`)
+      : new HttpError(404, `Not found: ${pathname}`);
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const { handler, params } = route(req.method, url.pathname);
+
+      await handler(req, res, params, url);
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+
+      const status = error instanceof HttpError ? error.status : 500;
+
+      sendJSON(res, status, {
+        error: status === 500 ? "Internal server error" : error.message,
+      });
+    }
+  });
+};
+
+export { createServer };
@@ -0,0 +1,85 @@
+/**
+ * Builds an Aho-Corasick automaton that finds which of many literal strings
+ * occur in a text, in a single pass over the text.
+ *
+ * @param {string[]} literals
+ * @returns {{ size: number, match: (text: string) => Set<string> }}
+ */
+export default (literals) => {
+  const unique = [...new Set(literals)].filter(Boolean);
+  const nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+
+  unique.forEach((literal) => {
+    let node = 0;
+
+    for (let i = 0; i < literal.length; i++) {
+      const code = literal.charCodeAt(i);
+      let child = nodes[node].next.get(code);
+
+      if (child === undefined) {
+        child = nodes.length;
+        nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        nodes[node].next.set(code, child);
+      }
+
+      node = child;
+    }
+
+    nodes[node].outputs.push(literal);
+  });
+
+  // Failure links, breadth first so that shorter suffixes are linked first.
+  // Transitions on ASCII characters are then flattened into a table so that
+  // matching takes one lookup per character; literals are ASCII only, any
+  // other character returns to the root.
+  const table = new Int32Array(nodes.length * 128);
+  const outputs = new Array(nodes.length);
+  const queue = [0];
+
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    const { fail } = nodes[node];
+
+    outputs[node] = node
+      ? nodes[node].outputs.concat(outputs[fail])
+      : nodes[node].outputs;
+
+    for (let code = 0; code < 128; code++) {
+      const child = nodes[node].next.get(code);
+
+      if (child === undefined) {
+        table[node * 128 + code] = node ? table[fail * 128 + code] : 0;
+      } else {
+        nodes[child].fail = node ? table[fail * 128 + code] : 0;
+        table[node * 128 + code] = child;
+
+        queue.push(child);
+      }
+    }
+  }
+
+  return {
+    size: unique.length,
+
+    match(text) {
+      const found = new Set();
+      let node = 0;
+
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+
+        node = code < 128 ? table[node * 128 + code] : 0;
+
+        if (outputs[node].length) {
+          outputs[node].forEach((literal) => found.add(literal));
+
+          if (found.size === unique.length) {
+            break;
+          }
+        }
+      }
+
+      return found;
+    },
+  };
+};
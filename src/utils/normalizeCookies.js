@@ -0,0 +1,109 @@
+/**
+ * Splits a `Set-Cookie` header value that may hold several cookies joined by
+ * commas, without breaking on the comma inside `Expires` dates.
+ *
+ * @param {string} header
+ * @returns {string[]}
+ */
+const splitSetCookie = (header) =>
+  header.split(/,(?=\s*[^;,=\s]+=)/).map((cookie) => cookie.trim());
+
+/**
+ * Reads `Set-Cookie` values from a headers object or a fetch `Headers`.
+ *
+ * @param {Object|Headers} headers
+ * @returns {string[]}
+ */
+const getSetCookies = (headers) => {
+  if (!headers) return [];
+
+  if (typeof headers.getSetCookie === "function") {
+    return headers.getSetCookie();
+  }
+
+  const key = Object.keys(headers).find(
+    (name) => name.toLowerCase() === "set-cookie"
+  );
+
+  if (!key) return [];
+
+  return (Array.isArray(headers[key]) ? headers[key] : [headers[key]])
+    .filter((value) => typeof value === "string")
+    .flatMap(splitSetCookie);
+};
+
+/**
+ * Parses `name=value` pairs, e.g. a `Cookie` request header or the first
+ * segment of a `Set-Cookie` header.
+ *
+ * @param {string} string
+ * @returns {Array<[string, string]>}
+ */
+const parsePairs = (string) =>
+  string
+    .split(";")
+    .map((pair) => {
+      const index = pair.indexOf("=");
+
+      return index === -1
+        ? [pair.trim(), ""]
+        : [pair.slice(0, index).trim(), pair.slice(index + 1).trim()];
+    })
+    .filter(([name]) => name);
+
+/**
+ * Normalizes cookies into the `name -> values[]` map the engine expects.
+ * Names are lowercased to match the fingerprint keys.
+ *
+ * Accepts Playwright/Puppeteer cookie arrays (`{ name, value }`), arrays of
+ * `Set-Cookie` strings, objects keyed by name, a `Cookie` header string, and
+ * `Set-Cookie` values found in the response headers.
+ *
+ * @param {Array|Object|string} [cookies]
+ * @param {Object|Headers} [headers]
+ * @returns {Object<string, string[]>}
+ */
+export default (cookies, headers) => {
+  const normalized = {};
+
+  const add = (name, value) => {
+    if (typeof name !== "string" || !name) return;
+
+    const key = name.toLowerCase();
+    const string = value === undefined || value === null ? "" : String(value);
+
+    normalized[key] = normalized[key] || [];
+
+    if (!normalized[key].includes(string)) {
+      normalized[key].push(string);
+    }
+  };
+
+  const addSetCookie = (header) => {
+    const [pair] = parsePairs(header.split(";")[0]);
+
+    if (pair) add(...pair);
+  };
+
+  if (Array.isArray(cookies)) {
+    cookies.forEach((cookie) => {
+      if (typeof cookie === "string") {
+        addSetCookie(cookie);
+      } else if (cookie && typeof cookie === "object") {
+        add(cookie.name, cookie.value);
+      }
+    });
+  } else if (typeof cookies === "string") {
+    parsePairs(cookies).forEach((pair) => add(...pair));
+  } else if (cookies && typeof cookies === "object") {
+    Object.keys(cookies).forEach((name) => {
+      (Array.isArray(cookies[name]) ? cookies[name] : [cookies[name]]).forEach(
+        (value) => add(name, value)
+      );
+    });
+  }
+
+  getSetCookies(headers).forEach(addSetCookie);
+
+  return normalized;
+};
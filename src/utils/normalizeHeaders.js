@@ -0,0 +1,34 @@
+/**
+ * Normalizes response headers into the `name -> values[]` map the engine
+ * expects. Names are lowercased to match the fingerprint keys, since they are
+ * case-insensitive in HTTP but not in the patterns.
+ *
+ * Accepts objects keyed by name, with a value or a list of values, and fetch
+ * `Headers` or other iterables of `[name, value]` pairs.
+ *
+ * @param {Object|Headers} [headers]
+ * @returns {Object<string, string[]>}
+ */
+export default (headers) => {
+  const normalized = {};
+
+  if (!headers || typeof headers !== "object") return normalized;
+
+  const entries =
+    typeof headers.entries === "function" ? [...headers.entries()] : Object.entries(headers);
+
+  entries.forEach(([name, values]) => {
+    if (typeof name !== "string" || !name) return;
+
+    const key = name.toLowerCase();
+
+    (Array.isArray(values) ? values : [values]).forEach((value) => {
+      if (value === undefined || value === null) return;
+
+      normalized[key] = normalized[key] || [];
+      normalized[key].push(String(value));
+    });
+  });
+
+  return normalized;
+};
@@ -0,0 +1,149 @@
+/**
+ * Decodes a HAR response body.
+ *
+ * @param {Object} [content] - `response.content` of a HAR entry.
+ * @returns {string|null}
+ */
+const readBody = (content) => {
+  if (!content || typeof content.text !== "string") return null;
+
+  return content.encoding === "base64"
+    ? Buffer.from(content.text, "base64").toString("utf8")
+    : content.text;
+};
+
+/**
+ * Collects HAR headers (`[{ name, value }]`) into lowercased names mapping to
+ * lists of values. Multiple `Set-Cookie` values may share one header, separated
+ * by newlines.
+ *
+ * @param {Array} [headers]
+ * @returns {Object<string, string[]>}
+ */
+const readHeaders = (headers = []) =>
+  headers.reduce((result, { name, value }) => {
+    const key = String(name).toLowerCase();
+    const values = key === "set-cookie" ? String(value).split("\n") : [String(value)];
+
+    result[key] = [...(result[key] || []), ...values];
+
+    return result;
+  }, {});
+
+/**
+ * Tells what kind of resource a HAR entry is, from the browser's resource type
+ * when recorded, else from the response's MIME type.
+ *
+ * @param {Object} entry
+ * @returns {string} - `document`, `script`, `stylesheet` or `other`.
+ */
+const getResourceType = (entry) => {
+  const type = entry._resourceType;
+
+  if (["document", "script", "stylesheet"].includes(type)) return type;
+
+  const mimeType = String(
+    entry.response?.content?.mimeType ||
+      readHeaders(entry.response?.headers)["content-type"]?.[0] ||
+      ""
+  ).toLowerCase();
+
+  if (type) return "other";
+  if (mimeType.includes("html")) return "document";
+  if (/javascript|ecmascript/.test(mimeType)) return "script";
+  if (mimeType.includes("css")) return "stylesheet";
+
+  return "other";
+};
+
+/**
+ * Reads what a scan needs from a HAR recording: the main document (following
+ * recorded redirects), its headers and cookies, the bodies of scripts and
+ * stylesheets, and every request URL.
+ *
+ * @param {Object|string} har - HAR object, or its JSON.
+ * @param {Object} [opts]
+ * @param {string} [opts.url] - URL of the main document, defaults to the first
+ *   document in the recording.
+ * @returns {Object} - `{ url, status, redirects, headers, setCookies, html,
+ *   assets: { scripts, css }, requests }`
+ */
+export default (har, { url } = {}) => {
+  const entries = (typeof har === "string" ? JSON.parse(har) : har)?.log?.entries;
+
+  if (!Array.isArray(entries)) {
+    throw new Error("Invalid HAR: log.entries must be an array");
+  }
+
+  const isRedirect = (entry) =>
+    entry.response?.status >= 300 && entry.response?.status < 400;
+
+  let entry = url
+    ? entries.find(({ request }) => request?.url === url)
+    : entries.find(
+      (entry) =>
+        getResourceType(entry) === "document" &&
+          (isRedirect(entry) || readBody(entry.response?.content) !== null)
+    );
+
+  if (!entry) {
+    throw new Error(url ? `No entry for ${url} in HAR` : "No HTML document in HAR");
+  }
+
+  const redirects = [];
+  const setCookies = [];
+
+  for (;;) {
+    const headers = readHeaders(entry.response?.headers);
+
+    setCookies.push(...(headers["set-cookie"] || []));
+
+    const location = entry.response?.redirectURL || headers.location?.[0];
+
+    if (!isRedirect(entry) || !location) break;
+
+    const next = new URL(location, entry.request.url).toString();
+    const nextEntry = entries.find(
+      (candidate) => candidate.request?.url === next && !redirects.some(({ url }) => url === next)
+    );
+
+    if (!nextEntry) break;
+
+    redirects.push({ url: entry.request.url, status: entry.response.status });
+    entry = nextEntry;
+  }
+
+  const html = readBody(entry.response?.content);
+
+  if (html === null) {
+    throw new Error(`No response body for ${entry.request.url} in HAR`);
+  }
+
+  const assets = { scripts: new Map(), css: new Map() };
+
+  entries.forEach((asset) => {
+    const type = getResourceType(asset);
+    const body = readBody(asset.response?.content);
+
+    if (body !== null && (type === "script" || type === "stylesheet")) {
+      assets[type === "script" ? "scripts" : "css"].set(asset.request.url, body);
+    }
+  });
+
+  return {
+    url: entry.request.url,
+    status: entry.response.status,
+    redirects,
+    headers: readHeaders(entry.response.headers),
+    setCookies,
+    html,
+    assets,
+    requests: [
+      ...new Set(
+        entries
+          .map(({ request }) => request?.url)
+          .filter((requestUrl) => typeof requestUrl === "string" && /^https?:/i.test(requestUrl))
+      ),
+    ],
+  };
+};
@@ -0,0 +1,474 @@
+import fs from "fs";
+import zlib from "zlib";
+import { Readable, pipeline } from "stream";
+import * as cheerio from "cheerio";
+
+/**
+ * Reads lines and byte ranges from a stream of Buffers.
+ *
+ * @param {AsyncIterable<Buffer>} chunks
+ * @returns {{ readLine: Function, read: Function, skip: Function, close: Function }}
+ */
+const createReader = (chunks) => {
+  const iterator = chunks[Symbol.asyncIterator]();
+  let buffer = Buffer.alloc(0);
+  let done = false;
+
+  const fill = async () => {
+    if (done) return false;
+
+    const { value, done: end } = await iterator.next();
+
+    if (end) {
+      done = true;
+      return false;
+    }
+
+    const chunk = Buffer.isBuffer(value) ? value : Buffer.from(value);
+
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+    return true;
+  };
+
+  // Take up to `length` bytes, passing each piece to `callback`
+  const consume = async (length, callback) => {
+    let remaining = length;
+
+    while (remaining > 0) {
+      if (!buffer.length && !(await fill())) {
+        throw new Error("Invalid WARC: truncated record");
+      }
+
+      const piece = buffer.subarray(0, remaining);
+
+      buffer = buffer.subarray(piece.length);
+      remaining -= piece.length;
+
+      callback(piece);
+    }
+  };
+
+  return {
+    // A line without its line break, or null at the end of the stream
+    async readLine() {
+      for (;;) {
+        const end = buffer.indexOf(10);
+
+        if (end !== -1) {
+          const line = buffer.subarray(0, end).toString("utf8").replace(/\r$/, "");
+
+          buffer = buffer.subarray(end + 1);
+
+          return line;
+        }
+
+        if (!(await fill())) {
+          const line = buffer.length ? buffer.toString("utf8") : null;
+
+          buffer = Buffer.alloc(0);
+
+          return line;
+        }
+      }
+    },
+
+    async read(length) {
+      const pieces = [];
+
+      await consume(length, (piece) => pieces.push(piece));
+
+      return Buffer.concat(pieces);
+    },
+
+    skip(length) {
+      return consume(length, () => null);
+    },
+
+    // Stop reading the stream before its end
+    async close() {
+      if (!done) {
+        done = true;
+        await iterator.return?.();
+      }
+    },
+  };
+};
+
+/**
+ * Opens a WARC file or stream, decompressing `.warc.gz` archives (one or more
+ * gzip members). A file opened here is closed once the archive is read, or
+ * when the consumer stops early.
+ *
+ * @param {string|AsyncIterable<Buffer>} input - File path, or a readable
+ *   stream.
+ * @returns {AsyncIterable<Buffer>}
+ */
+const openWARC = async function* (input) {
+  const file = typeof input === "string" ? fs.createReadStream(input) : null;
+  const iterator = (file || input)[Symbol.asyncIterator]();
+  let gunzip = null;
+
+  try {
+    const first = await iterator.next();
+
+    if (first.done) return;
+
+    const chunks = (async function* () {
+      yield first.value;
+
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield next.value;
+      }
+    })();
+
+    if (first.value[0] !== 0x1f || first.value[1] !== 0x8b) {
+      yield* chunks;
+      return;
+    }
+
+    gunzip = zlib.createGunzip();
+
+    pipeline(Readable.from(chunks), gunzip, () => null);
+
+    yield* gunzip;
+  } finally {
+    gunzip?.destroy();
+    file?.destroy();
+  }
+};
+
+/**
+ * Removes `Transfer-Encoding: chunked` framing, leaving bodies that turn out
+ * not to be chunked as they are.
+ *
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+const dechunk = (body) => {
+  const pieces = [];
+  let offset = 0;
+
+  for (;;) {
+    const end = body.indexOf("\r\n", offset);
+    const size = end === -1 ? NaN : parseInt(body.subarray(offset, end).toString("latin1"), 16);
+
+    if (Number.isNaN(size)) return offset ? Buffer.concat(pieces) : body;
+    if (!size) return Buffer.concat(pieces);
+
+    pieces.push(body.subarray(end + 2, end + 2 + size));
+    offset = end + 2 + size + 2;
+  }
+};
+
+const decoders = {
+  gzip: zlib.gunzipSync,
+  "x-gzip": zlib.gunzipSync,
+  deflate: (body) => {
+    try {
+      return zlib.inflateSync(body);
+    } catch (error) {
+      return zlib.inflateRawSync(body);
+    }
+  },
+  br: zlib.brotliDecompressSync,
+};
+
+/**
+ * Parses the HTTP response in a WARC `response` record: status, headers (as
+ * lowercased names mapping to lists of values) and the decoded body.
+ *
+ * @param {Buffer} block
+ * @returns {{ status: number, headers: Object<string, string[]>, body: Buffer }|null}
+ */
+const parseResponse = (block) => {
+  const crlf = block.indexOf("\r\n\r\n");
+  const lf = block.indexOf("\n\n");
+  const end = crlf !== -1 && (lf === -1 || crlf < lf) ? crlf + 4 : lf !== -1 ? lf + 2 : -1;
+
+  if (end === -1) return null;
+
+  const [statusLine, ...lines] = block.subarray(0, end).toString("latin1").split(/\r?\n/);
+  const status = Number(/^HTTP\/[\d.]+\s+(\d{3})/i.exec(statusLine)?.[1]);
+
+  if (!status) return null;
+
+  const headers = lines.reduce((result, line) => {
+    const separator = line.indexOf(":");
+
+    if (separator > 0) {
+      const key = line.slice(0, separator).trim().toLowerCase();
+
+      result[key] = [...(result[key] || []), line.slice(separator + 1).trim()];
+    }
+
+    return result;
+  }, {});
+
+  let body = block.subarray(end);
+
+  if (/chunked/i.test(headers["transfer-encoding"]?.join(",") || "")) {
+    body = dechunk(body);
+  }
+
+  const encoding = headers["content-encoding"]?.[0]?.toLowerCase();
+
+  if (decoders[encoding]) {
+    try {
+      body = decoders[encoding](body);
+    } catch (error) {
+      // Leave bodies that don't decode as they are
+    }
+  }
+
+  return { status, headers, body };
+};
+
+/**
+ * Tells what kind of resource a response is from its `Content-Type`.
+ *
+ * @param {Object<string, string[]>} headers
+ * @returns {string} - `document`, `script`, `stylesheet` or `other`.
+ */
+const getResourceType = (headers) => {
+  const mimeType = (headers["content-type"]?.[0] || "").toLowerCase();
+
+  if (mimeType.includes("html")) return "document";
+  if (/javascript|ecmascript/.test(mimeType)) return "script";
+  if (mimeType.includes("css")) return "stylesheet";
+
+  return "other";
+};
+
+/**
+ * Lists the scripts and stylesheets an HTML document references.
+ *
+ * @param {string} html
+ * @param {string} url
+ * @returns {{ scripts: string[], css: string[] }}
+ */
+const getReferences = (html, url) => {
+  const $ = cheerio.load(html);
+
+  const resolve = (selector, attribute) =>
+    $(selector)
+      .map((i, elem) => {
+        try {
+          return new URL($(elem).attr(attribute), url).toString();
+        } catch (error) {
+          return null;
+        }
+      })
+      .get();
+
+  return {
+    scripts: resolve("script[src]", "src"),
+    css: resolve('link[rel="stylesheet"]', "href"),
+  };
+};
+
+/**
+ * Streams the HTTP responses in a WARC archive. Records other than HTTP
+ * responses, and blocks larger than `maxRecordSize`, are skipped without
+ * being read into memory.
+ *
+ * @param {AsyncIterable<Buffer>} chunks - Decompressed archive.
+ * @param {number} maxRecordSize
+ */
+const readResponses = async function* (chunks, maxRecordSize) {
+  const reader = createReader(chunks);
+
+  try {
+    for (;;) {
+      let line = await reader.readLine();
+
+      while (line === "") line = await reader.readLine();
+
+      if (line === null) return;
+
+      if (!/^WARC\/\d/.test(line)) {
+        throw new Error(`Invalid WARC: expected a record, got "${line.slice(0, 40)}"`);
+      }
+
+      const headers = {};
+
+      for (let header = await reader.readLine(); header; header = await reader.readLine()) {
+        const separator = header.indexOf(":");
+
+        if (separator > 0) {
+          headers[header.slice(0, separator).trim().toLowerCase()] = header
+            .slice(separator + 1)
+            .trim();
+        }
+      }
+
+      const length = Number(headers["content-length"]);
+
+      if (!Number.isInteger(length) || length < 0) {
+        throw new Error("Invalid WARC: record without a Content-Length");
+      }
+
+      if (
+        headers["warc-type"] !== "response" ||
+        !/^application\/http/i.test(headers["content-type"] || "") ||
+        length > maxRecordSize
+      ) {
+        await reader.skip(length);
+        continue;
+      }
+
+      const response = parseResponse(await reader.read(length));
+
+      if (response) {
+        yield {
+          // WARC 1.0 may wrap the URI in angle brackets
+          url: (headers["warc-target-uri"] || "").replace(/^<(.*)>$/, "$1"),
+          date: headers["warc-date"] || null,
+          ...response,
+        };
+      }
+    }
+  } finally {
+    // Also when the consumer stops early
+    await reader.close();
+  }
+};
+
+/**
+ * Streams the pages captured in a WARC archive, each with what a scan needs:
+ * the HTML document, its headers and cookies (including those set along
+ * recorded redirects) and the bodies of the scripts and stylesheets it
+ * references.
+ *
+ * Assets are usually captured after the page that references them, so a page
+ * is held back until all its assets have been read, or until `window` more
+ * responses have been read, whichever comes first. Recently read assets are
+ * kept, up to `cacheSize` characters, for pages that reference them later.
+ * Memory use is therefore bounded by the window and cache, not by the size of
+ * the archive.
+ *
+ * @param {string|AsyncIterable<Buffer>} input - File path, or a readable
+ *   stream, of a WARC or gzipped WARC archive.
+ * @param {Object} [opts]
+ * @param {number} [opts.window=500] - Responses to wait for the assets of a page.
+ * @param {number} [opts.cacheSize=67108864] - Characters of assets to keep for
+ *   pages read later.
+ * @param {number} [opts.maxRecordSize=10485760] - Larger records are skipped.
+ * @returns {AsyncGenerator<Object>} - `{ url, date, status, redirects, headers,
+ *   setCookies, html, assets: { scripts, css } }`, in the order the pages become
+ *   complete.
+ */
+export default async function* (
+  input,
+  { window = 500, cacheSize = 64 * 1024 * 1024, maxRecordSize = 10 * 1024 * 1024 } = {}
+) {
+  const cache = new Map();
+  let cached = 0;
+  const redirects = new Map();
+  const pending = new Set();
+  let count = 0;
+
+  const remember = (url, asset) => {
+    cached -= cache.get(url)?.body.length || 0;
+    cache.delete(url);
+    cache.set(url, asset);
+    cached += asset.body.length;
+
+    for (const [key, { body }] of cache) {
+      if (cached <= cacheSize) break;
+
+      cache.delete(key);
+      cached -= body.length;
+    }
+  };
+
+  const flush = function* (all) {
+    for (const item of pending) {
+      if (all || !item.missing.size || count - item.index >= window) {
+        pending.delete(item);
+
+        yield item.page;
+      }
+    }
+  };
+
+  for await (const response of readResponses(openWARC(input), maxRecordSize)) {
+    const { url, status, headers } = response;
+    const type = getResourceType(headers);
+
+    count++;
+
+    if (status >= 300 && status < 400 && headers.location) {
+      let location;
+
+      try {
+        location = new URL(headers.location[0], url).toString();
+      } catch (error) {
+        location = null;
+      }
+
+      if (location) {
+        const previous = redirects.get(url) || { redirects: [], setCookies: [] };
+
+        redirects.set(location, {
+          redirects: [...previous.redirects, { url, status }],
+          setCookies: [...previous.setCookies, ...(headers["set-cookie"] || [])],
+        });
+
+        // Only redirects to pages read soon after are needed
+        if (redirects.size > window) {
+          redirects.delete(redirects.keys().next().value);
+        }
+      }
+    } else if (status >= 200 && status < 300 && type === "document") {
+      const html = response.body.toString("utf8");
+      const previous = redirects.get(url) || { redirects: [], setCookies: [] };
+      const page = {
+        url,
+        date: response.date,
+        status,
+        redirects: previous.redirects,
+        headers,
+        setCookies: [...previous.setCookies, ...(headers["set-cookie"] || [])],
+        html,
+        assets: { scripts: new Map(), css: new Map() },
+      };
+      const missing = new Map();
+      const references = getReferences(html, url);
+
+      redirects.delete(url);
+
+      ["scripts", "css"].forEach((kind) =>
+        references[kind].forEach((reference) => {
+          const asset = cache.get(reference);
+
+          if (asset) {
+            page.assets[kind].set(reference, asset.body);
+          } else {
+            missing.set(reference, kind);
+          }
+        })
+      );
+
+      pending.add({ page, missing, index: count });
+    } else if (status >= 200 && status < 300) {
+      const body = response.body.toString("utf8");
+
+      if (type !== "other") remember(url, { body });
+
+      // Pages referencing the asset take it whatever its Content-Type
+      for (const { page, missing } of pending) {
+        const kind = missing.get(url);
+
+        if (kind) {
+          missing.delete(url);
+          page.assets[kind].set(url, body);
+        }
+      }
+    }
+
+    yield* flush(false);
+  }
+
+  yield* flush(true);
+}
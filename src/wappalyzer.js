@@ -1,5 +1,8 @@
 "use strict";
 
+import * as cheerio from "cheerio";
+import createLiteralMatcher from "./utils/createLiteralMatcher.js";
+
 function toArray(value) {
   return Array.isArray(value) ? value : [value];
 }
@@ -23,835 +26,1705 @@ function benchmark(duration, pattern, value = "", technology) {
   });
 }
  
-const Wappalyzer = {
-  technologies: [],
-  categories: [],
-  requires: [],
-  categoryRequires: [],
-
-  slugify: (string) =>
-    string
-      .toLowerCase()
-      .replace(/[^a-z0-9-]/g, "-")
-      .replace(/--+/g, "-")
-      .replace(/(?:^-|-$)/g, ""),
-
-  getTechnology: (name) =>
-    [
-      ...Wappalyzer.technologies,
-      ...Wappalyzer.requires.map(({ technologies }) => technologies).flat(),
-      ...Wappalyzer.categoryRequires
-        .map(({ technologies }) => technologies)
-        .flat(),
-    ].find(({ name: _name }) => name === _name),
-
-  /**
-   * Filters technologies based on requirements and category requirements.
-   * @param {Array} requires - Array of required technologies.
-   * @param {Array} categoryRequires - Array of required technology categories.
-   * @returns {Array} - Filtered list of technologies.
-   */
-  getRequiredTechnologies: (requires, categoryRequires) => {
-    const requiredTechnologies = new Set();
-
-    if (!requires || requires.length === 0) {
-      return;
+// Analyzer used for each relation type
+const relations = {
+  certIssuer: "analyzeOneToOne",
+  cookies: "analyzeManyToMany",
+  css: "analyzeOneToOne",
+  dns: "analyzeManyToMany",
+  headers: "analyzeManyToMany",
+  html: "analyzeOneToOne",
+  meta: "analyzeManyToMany",
+  probe: "analyzeManyToMany",
+  robots: "analyzeOneToOne",
+  scriptSrc: "analyzeOneToMany",
+  scripts: "analyzeOneToOne",
+  text: "analyzeOneToOne",
+  url: "analyzeOneToOne",
+  xhr: "analyzeOneToMany",
+};
+
+const hasPatterns = (patterns) =>
+  Array.isArray(patterns)
+    ? patterns.length > 0
+    : !!patterns && Object.keys(patterns).length > 0;
+
+// `dom` may list selectors that only need to exist, e.g. ["#app", ".x"]
+const toDomPatterns = (dom) =>
+  typeof dom === "string" || Array.isArray(dom)
+    ? toArray(dom).reduce((dom, selector) => ({ ...dom, [selector]: { exists: "" } }), {})
+    : dom;
+
+// Empty document to check that selectors parse
+let emptyDocument = null;
+
+// Relation types whose (large) text values are prefiltered by literal
+const prefilterTypes = ["css", "html", "scripts", "text"];
+
+const MIN_LITERAL_LENGTH = 3;
+
+const getPatternKey = (technology, type, pattern) =>
+  `${technology.name}\0${type}\0${pattern.regex.source}`;
+
+/**
+ * Parse a quantifier at a position in a regex source.
+ * @param {String} source
+ * @param {Number} index
+ * @returns {Object|null} - Minimum repetitions and the quantifier length.
+ */
+function parseQuantifier(source, index) {
+  const char = source[index];
+  let quantifier = null;
+
+  if (char === "?" || char === "*") {
+    quantifier = { min: 0, length: 1 };
+  } else if (char === "+") {
+    quantifier = { min: 1, length: 1 };
+  } else if (char === "{") {
+    const matches = /^\{(\d+)(?:,\d*)?\}/.exec(source.slice(index, index + 20));
+
+    if (matches) {
+      quantifier = { min: parseInt(matches[1], 10), length: matches[0].length };
     }
+  }
+
+  // Lazy quantifier
+  if (quantifier && source[index + quantifier.length] === "?") {
+    quantifier.length++;
+  }
+
+  return quantifier;
+}
+
+/**
+ * Find the longest literal that every match of a regex contains, used to
+ * skip patterns that cannot match without running them. Groups, classes,
+ * character class escapes and back references end a literal; a top-level
+ * alternation means there is no required literal.
+ * @param {String} source - Regex source.
+ * @returns {String|null} - Lowercased literal.
+ */
+function getRequiredLiteral(source) {
+  const literals = [];
+  let literal = "";
+  let depth = 0;
+  let index = 0;
+
+  const end = () => {
+    if (literal) literals.push(literal);
+
+    literal = "";
+  };
+
+  // Skip a quantifier following an atom that isn't part of a literal
+  const skipQuantifier = () => {
+    const quantifier = parseQuantifier(source, index);
+
+    if (quantifier) index += quantifier.length;
+  };
 
-    requires.forEach((requirement) => {
-      const technology = Wappalyzer.getTechnology(requirement.name);
-      if (technology) {
-        requiredTechnologies.add(technology);
+  while (index < source.length) {
+    let char = source[index];
+
+    if (char === "\\") {
+      const next = source[index + 1];
+
+      if (next === undefined) return null;
+
+      if (/[a-z0-9]/i.test(next)) {
+        end();
+
+        index += 2;
+
+        if (next === "x") {
+          index += 2;
+        } else if (next === "u" || next === "p" || next === "P") {
+          if (source[index] === "{") {
+            index = source.indexOf("}", index) + 1;
+
+            if (!index) return null;
+          } else if (next === "u") {
+            index += 4;
+          }
+        } else if (next === "c") {
+          index += 1;
+        } else if (next === "k" && source[index] === "<") {
+          index = source.indexOf(">", index) + 1;
+
+          if (!index) return null;
+        } else if (/\d/.test(next)) {
+          while (/\d/.test(source[index] || "")) index++;
+        }
+
+        skipQuantifier();
+
+        continue;
       }
-    });
-
-    categoryRequires.forEach((categoryRequirement) => {
-      const category = Wappalyzer.getCategory(categoryRequirement.id);
-      if (category) {
-        category.technologies.forEach((techName) => {
-          const technology = Wappalyzer.getTechnology(techName);
-          if (technology) {
-            requiredTechnologies.add(technology);
+
+      // Escaped punctuation is a literal character
+      char = next;
+      index += 2;
+    } else if (char === "|") {
+      if (!depth) return null;
+
+      index++;
+
+      continue;
+    } else if (char === "(") {
+      end();
+
+      depth++;
+      index++;
+
+      continue;
+    } else if (char === ")") {
+      end();
+
+      depth--;
+      index++;
+
+      skipQuantifier();
+
+      continue;
+    } else if (char === "[") {
+      end();
+
+      index++;
+
+      while (index < source.length && source[index] !== "]") {
+        index += source[index] === "\\" ? 2 : 1;
+      }
+
+      index++;
+
+      skipQuantifier();
+
+      continue;
+    } else if (char === "." || char === "^" || char === "$") {
+      end();
+
+      index++;
+
+      skipQuantifier();
+
+      continue;
+    } else {
+      index++;
+    }
+
+    if (depth || char.charCodeAt(0) > 127) {
+      end();
+
+      skipQuantifier();
+
+      continue;
+    }
+
+    const quantifier = parseQuantifier(source, index);
+
+    if (quantifier) {
+      // The character is optional or repeated, keep it only if required
+      if (quantifier.min) literal += char;
+
+      end();
+
+      index += quantifier.length;
+    } else {
+      literal += char;
+    }
+  }
+
+  end();
+
+  const longest = literals.reduce(
+    (longest, literal) => (literal.length > longest.length ? literal : longest),
+    ""
+  );
+
+  return longest.length >= MIN_LITERAL_LENGTH ? longest.toLowerCase() : null;
+}
+
+/**
+ * Create an engine with its own technology and category state, so several
+ * fingerprint sets can be used side by side in one process.
+ * @returns {Object}
+ */
+function createWappalyzer() {
+  // Patterns that exceeded a regex time budget with `blocklist`, skipped by
+  // this engine from then on
+  const blockedPatterns = new Map();
+
+  const Wappalyzer = {
+    technologies: [],
+    categories: [],
+    requires: [],
+    categoryRequires: [],
+
+    // Lookup tables, rebuilt by `buildIndex` whenever technologies or
+    // categories are set
+    index: {
+      all: [],
+      technologies: new Map(),
+      slugs: new Map(),
+      categories: new Map(),
+      categoryTechnologies: new Map(),
+      requires: new Map(),
+      categoryRequires: new Map(),
+      relations: new Map(),
+      literals: new Map(),
+    },
+
+    slugify: (string) =>
+      string
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "-")
+        .replace(/--+/g, "-")
+        .replace(/(?:^-|-$)/g, ""),
+
+    getTechnology: (name) => Wappalyzer.index.technologies.get(name),
+
+    getTechnologyBySlug: (slug) => Wappalyzer.index.slugs.get(slug),
+
+    /**
+     * Lists technologies in a category, including dependent ones.
+     * @param {Number} id
+     * @returns {Array}
+     */
+    getCategoryTechnologies: (id) =>
+      Wappalyzer.index.categoryTechnologies.get(id) || [],
+
+    /**
+     * Lists all technologies, including those that depend on another
+     * technology or category.
+     * @returns {Array}
+     */
+    getAllTechnologies: () => Wappalyzer.index.all,
+
+    // Regex time budget of the analysis in progress, see `withBudget`
+    budget: null,
+
+    /**
+     * Run (part of) an analysis with a regex time budget. Patterns that run
+     * longer than `budget.timeout` ms are added to `budget.timeouts` and,
+     * with `budget.blocklist`, blocked for this engine from then on.
+     * A regex can't be interrupted on the main thread, so a slow pattern
+     * stalls one analysis before it is blocked; collect text patterns in
+     * `budget.deferred` instead to run them elsewhere, e.g. in a worker.
+     * @param {Object} [budget] - `{ timeout, blocklist, timeouts, deferred }`
+     * @param {Function} callback
+     */
+    withBudget(budget, callback) {
+      const previous = Wappalyzer.budget;
+
+      Wappalyzer.budget = budget || null;
+
+      try {
+        return callback();
+      } finally {
+        Wappalyzer.budget = previous;
+      }
+    },
+
+    /**
+     * Run a pattern over a value, unless the pattern is blocked.
+     * @param {Object} technology
+     * @param {String} type
+     * @param {Object} pattern
+     * @param {String} value
+     * @returns {Array|null}
+     */
+    exec(technology, type, pattern, value) {
+      if (Wappalyzer.isBlocked(technology, type, pattern)) {
+        return null;
+      }
+
+      const startTime = performance.now();
+
+      const matches = pattern.regex.exec(value);
+
+      const duration = performance.now() - startTime;
+
+      benchmark(duration, pattern, value, technology);
+
+      const { budget } = Wappalyzer;
+
+      if (budget && budget.timeout && duration > budget.timeout) {
+        Wappalyzer.reportTimeout(budget, technology, type, pattern, duration);
+      }
+
+      return matches;
+    },
+
+    /**
+     * Record a pattern that exceeded the time budget, and block it with
+     * `budget.blocklist`.
+     * @param {Object} budget
+     * @param {Object} technology
+     * @param {String} type
+     * @param {Object} pattern
+     * @param {Number} duration - In ms.
+     */
+    reportTimeout(budget, technology, type, pattern, duration) {
+      const timeout = {
+        technology: technology.name,
+        type,
+        pattern: pattern.regex.source,
+        duration: Math.round(duration),
+      };
+
+      if (budget.blocklist) {
+        blockedPatterns.set(getPatternKey(technology, type, pattern), timeout);
+      }
+
+      if (budget.timeouts) {
+        budget.timeouts.push(timeout);
+      }
+    },
+
+    isBlocked: (technology, type, pattern) =>
+      blockedPatterns.size > 0 &&
+      blockedPatterns.has(getPatternKey(technology, type, pattern)),
+
+    /**
+     * Lists patterns blocked after exceeding a time budget.
+     * @returns {Array} - `{ technology, type, pattern, duration }` entries.
+     */
+    getBlockedPatterns: () => [...blockedPatterns.values()],
+
+    /**
+     * Rebuild the lookup tables used by the analyze and resolve methods.
+     */
+    buildIndex() {
+      const index = {
+        all: [],
+        technologies: new Map(),
+        slugs: new Map(),
+        categories: new Map(),
+        categoryTechnologies: new Map(),
+        requires: new Map(),
+        categoryRequires: new Map(),
+        relations: new Map(),
+        literals: new Map(),
+      };
+
+      [
+        ...Wappalyzer.technologies,
+        ...Wappalyzer.requires.map(({ technologies }) => technologies).flat(),
+        ...Wappalyzer.categoryRequires
+          .map(({ technologies }) => technologies)
+          .flat(),
+      ].forEach((technology) => {
+        if (index.technologies.has(technology.name)) {
+          return;
+        }
+
+        index.all.push(technology);
+        index.technologies.set(technology.name, technology);
+        index.slugs.set(technology.slug, technology);
+
+        technology.categories.forEach((id) => {
+          if (!index.categoryTechnologies.has(id)) {
+            index.categoryTechnologies.set(id, []);
           }
+
+          index.categoryTechnologies.get(id).push(technology);
         });
+
+        index.relations.set(
+          technology,
+          Object.keys(relations).filter((type) => hasPatterns(technology[type]))
+        );
+      });
+
+      // One matcher per prefiltered type, over the literals of all patterns
+      prefilterTypes.forEach((type) =>
+        index.literals.set(
+          type,
+          createLiteralMatcher(
+            index.all.flatMap((technology) =>
+              (technology[type] || []).map(({ literal }) => literal)
+            )
+          )
+        )
+      );
+
+      Wappalyzer.categories.forEach((category) =>
+        index.categories.set(category.id, category)
+      );
+
+      Wappalyzer.requires.forEach(({ name, technologies }) =>
+        index.requires.set(name, technologies)
+      );
+
+      Wappalyzer.categoryRequires.forEach(({ categoryId, technologies }) =>
+        index.categoryRequires.set(categoryId, technologies)
+      );
+
+      Wappalyzer.index = index;
+    },
+
+    /**
+     * Lists technologies that depend on detected technologies or categories.
+     * @param {Array} requires - Detected technologies, as `{ name }`.
+     * @param {Array} categoryRequires - Detected categories, as `{ id }`.
+     * @returns {Array|undefined} - Dependent technologies, or undefined when
+     *   neither list is given.
+     */
+    getRequiredTechnologies: (requires, categoryRequires) => {
+      const requiredTechnologies = new Set();
+
+      if (!requires?.length && !categoryRequires?.length) {
+        return;
       }
-    });
 
-    return Array.from(requiredTechnologies);
-  },
+      (requires || []).forEach(({ name }) =>
+        (Wappalyzer.index.requires.get(name) || []).forEach((technology) =>
+          requiredTechnologies.add(technology)
+        )
+      );
+
+      (categoryRequires || []).forEach(({ id }) =>
+        (Wappalyzer.index.categoryRequires.get(id) || []).forEach(
+          (technology) => requiredTechnologies.add(technology)
+        )
+      );
 
-  getCategory: (id) => Wappalyzer.categories.find(({ id: _id }) => id === _id),
+      return Array.from(requiredTechnologies);
+    },
+
+    getCategory: (id) => Wappalyzer.index.categories.get(id),
+
+    /**
+     * Resolve promises for implied technology.
+     * @param {Array} detections
+     * @param {Array} [helpers]
+     * @param {boolean} [evidence=false] - Report the patterns behind each
+     *   technology.
+     */
+    resolve({ detections, helpers, evidence = false }) {
+      // Group detections by technology, in order of first detection
+      const groups = detections.reduce((groups, detection) => {
+        const name = detection.technology?.name;
+
+        if (name) {
+          if (!groups.has(name)) {
+            groups.set(name, []);
+          }
 
-  /**
-   * Resolve promises for implied technology.
-   * @param {Array} detections
-   */
-  resolve({ detections, helpers }) {
-    const resolved = detections.reduce((resolved, { technology, lastUrl }) => {
-      if (
-        resolved.findIndex(
-          ({ technology: { name } }) => name === technology?.name
-        ) === -1
-      ) {
+          groups.get(name).push(detection);
+        }
+
+        return groups;
+      }, new Map());
+
+      const resolved = [...groups.values()].map((detections) => {
+        const [{ technology }] = detections;
+        // Most recent page the technology was detected on, e.g. in a crawl
+        const lastUrl = detections.reduce(
+          (url, { lastUrl: _lastUrl }) => _lastUrl || url,
+          undefined
+        );
         let version = "";
         let confidence = 0;
         let rootPath;
-
-        detections
-          .filter(
-            ({ technology: _technology }) =>
-              _technology && _technology.name === technology.name
-          )
-          .forEach(
-            ({
-              technology: { name },
-              pattern,
-              version: _version = "",
-              rootPath: _rootPath,
-            }) => {
-              confidence = Math.min(100, confidence + pattern.confidence);
-              version =
-                _version.length > version.length &&
-                  _version.length <= 15 &&
-                  (parseInt(_version, 10) || 0) < 10000 // Ignore long numeric strings like timestamps
-                  ? _version
-                  : version;
-              rootPath = rootPath || _rootPath || undefined;
+        const _evidence = [];
+
+        detections.forEach(
+          ({ pattern, version: _version = "", rootPath: _rootPath }) => {
+            confidence = Math.min(100, confidence + pattern.confidence);
+            version =
+              _version.length > version.length &&
+                _version.length <= 15 &&
+                (parseInt(_version, 10) || 0) < 10000 // Ignore long numeric strings like timestamps
+                ? _version
+                : version;
+            rootPath = rootPath || _rootPath || undefined;
+
+            if (evidence) {
+              _evidence.push(Wappalyzer.getEvidence(pattern, _version));
             }
-          );
-
-        resolved.push({ technology, confidence, version, rootPath, lastUrl });
-      }
+          }
+        );
 
-      return resolved;
-    }, []);
+        return {
+          technology,
+          confidence,
+          version,
+          rootPath,
+          lastUrl,
+          evidence: _evidence,
+        };
+      });
 
-    Wappalyzer.resolveExcludes(resolved);
-    Wappalyzer.resolveImplies(resolved);
+      Wappalyzer.resolveExcludes(resolved);
+      Wappalyzer.resolveImplies(resolved);
 
-    const priority = ({ technology: { categories } }) =>
-      categories.reduce(
-        (max, id) => Math.max(max, Wappalyzer.getCategory(id).priority),
-        0
+      const priorities = new Map(
+        resolved.map(({ technology: { name, categories } }) => [
+          name,
+          categories.reduce(
+            (max, id) => Math.max(max, Wappalyzer.getCategory(id).priority),
+            0
+          ),
+        ])
       );
 
-    const sortedResolved = resolved
-      .sort((a, b) => (priority(a) > priority(b) ? 1 : -1))
-      .map(
-        ({
-          technology: {
+      const priority = ({ technology: { name } }) => priorities.get(name);
+
+      const sortedResolved = resolved
+        .sort((a, b) => (priority(a) > priority(b) ? 1 : -1))
+        .map(
+          ({
+            technology: {
+              name,
+              description,
+              slug,
+              categories,
+              icon,
+              website,
+              pricing,
+              cpe,
+            },
+            confidence,
+            version,
+            rootPath,
+            lastUrl,
+            evidence: _evidence,
+          }) => ({
             name,
             description,
             slug,
-            categories,
+            categories: categories.map((id) => Wappalyzer.getCategory(id)),
+            confidence,
+            version,
             icon,
             website,
             pricing,
             cpe,
-          },
-          confidence,
-          version,
-          rootPath,
-          lastUrl,
-        }) => ({
-          name,
-          description,
-          slug,
-          categories: categories.map((id) => Wappalyzer.getCategory(id)),
-          confidence,
-          version,
-          icon,
-          website,
-          pricing,
-          cpe,
-          rootPath,
-          lastUrl,
-        })
-      );
-
-    // For each helper join in to the resolved technologies
-    if (helpers) {
-      helpers.forEach((helper) => {
-        // Find the matching technology
-        const resolvedTech = sortedResolved.find(
-          (tech) => tech.name === helper.name
+            rootPath,
+            lastUrl,
+            ...(evidence ? { evidence: _evidence } : {}),
+          })
         );
 
-        if (resolvedTech) {
-          resolvedTech.helper = helper;
-        }
-      });
-    }
+      // For each helper join in to the resolved technologies
+      if (helpers) {
+        helpers.forEach((helper) => {
+          // Find the matching technology
+          const resolvedTech = sortedResolved.find(
+            (tech) => tech.name === helper.name
+          );
 
-    return sortedResolved;
-  },
+          if (resolvedTech) {
+            resolvedTech.helper = helper;
+          }
+        });
+      }
 
-  /**
-   * Resolve promises for version of technology.
-   * @param {Promise} resolved
-   * @param match
-   */
-  resolveVersion({ version, regex }, match) {
-    let resolved = version;
+      return sortedResolved;
+    },
 
-    if (version) {
-      const matches = regex.exec(match);
+    /**
+     * Describe a matched pattern for the evidence of a detection.
+     * @param {Object} pattern - Pattern as recorded by the analyze methods.
+     * @param {String} version - Version resolved from this pattern.
+     * @returns {Object}
+     */
+    getEvidence(pattern, version = "") {
+      const value = String(pattern.value ?? "");
 
-      if (matches) {
-        matches.forEach((match, index) => {
-          if (String(match).length > 10) {
-            return;
-          }
+      return {
+        type: pattern.subtype ? `${pattern.type}.${pattern.subtype}` : pattern.type,
+        ...(typeof pattern.key !== "undefined" ? { key: pattern.key } : {}),
+        pattern: pattern.regex.source,
+        match: String(pattern.match ?? "").slice(0, 200),
+        // Only short inputs such as header values or script URLs are kept
+        ...(value.length <= 500 ? { value } : {}),
+        confidence: pattern.confidence,
+        version,
+        source: "direct",
+      };
+    },
 
-          // Parse ternary operator
-          const ternary = new RegExp(`\\\\${index}\\?([^:]+):(.*)$`).exec(
-            version
-          );
+    /**
+     * Resolve promises for version of technology.
+     * @param {Promise} resolved
+     * @param match
+     */
+    resolveVersion({ version, regex }, match, matches) {
+      let resolved = version;
+
+      if (version) {
+        matches = matches || regex.exec(match);
 
-          if (ternary && ternary.length === 3) {
-            resolved = version.replace(
-              ternary[0],
-              match ? ternary[1] : ternary[2]
+        if (matches) {
+          matches.forEach((match, index) => {
+            if (String(match).length > 10) {
+              return;
+            }
+
+            // Parse ternary operator
+            const ternary = new RegExp(`\\\\${index}\\?([^:]+):(.*)$`).exec(
+              version
             );
+
+            if (ternary && ternary.length === 3) {
+              resolved = version.replace(
+                ternary[0],
+                match ? ternary[1] : ternary[2]
+              );
+            }
+
+            // Replace back references
+            resolved = resolved
+              .trim()
+              .replace(new RegExp(`\\\\${index}`, "g"), match || "");
+          });
+
+          // Remove unmatched back references
+          resolved = resolved.replace(/\\\d/, "");
+        }
+      }
+
+      return resolved;
+    },
+
+    /**
+     * Resolve promises for excluded technology.
+     * @param {Promise} resolved
+     */
+    resolveExcludes(resolved) {
+      resolved.forEach(({ technology }) => {
+        technology.excludes.forEach(({ name }) => {
+          const excluded = Wappalyzer.getTechnology(name);
+
+          if (!excluded) {
+            throw new Error(`Excluded technology does not exist: ${name}`);
           }
 
-          // Replace back references
-          resolved = resolved
-            .trim()
-            .replace(new RegExp(`\\\\${index}`, "g"), match || "");
+          let index;
+
+          do {
+            index = resolved.findIndex(
+              ({ technology: { name } }) => name === excluded.name
+            );
+
+            if (index !== -1) {
+              resolved.splice(index, 1);
+            }
+          } while (index !== -1);
+        });
+      });
+    },
+
+    /**
+     * Resolve promises for implied technology.
+     * @param {Promise} resolved
+     */
+    resolveImplies(resolved) {
+      const names = new Set(resolved.map(({ technology: { name } }) => name));
+      let done = false;
+
+      do {
+        done = true;
+
+        resolved.forEach(({ technology, confidence, lastUrl }) => {
+          technology.implies.forEach(
+            ({ name, confidence: _confidence, version }) => {
+              const implied = Wappalyzer.getTechnology(name);
+
+              if (!implied) {
+                throw new Error(`Implied technology does not exist: ${name}`);
+              }
+
+              if (!names.has(implied.name)) {
+                names.add(implied.name);
+                resolved.push({
+                  technology: implied,
+                  confidence: Math.min(confidence, _confidence),
+                  version: version || "",
+                  lastUrl,
+                  evidence: [
+                    {
+                      type: "implies",
+                      source: "implies",
+                      impliedBy: technology.name,
+                      confidence: Math.min(confidence, _confidence),
+                      version: version || "",
+                    },
+                  ],
+                });
+
+                done = false;
+              }
+            }
+          );
         });
+      } while (resolved.length && !done);
+    },
+
+    /**
+     * Initialize analyzation.
+     * @param {*} param0
+     * @param {Array} [technologies]
+     * @param {Object} [budget] - Regex time budget, see `withBudget`.
+     */
+    analyze(items, technologies = Wappalyzer.technologies, budget) {
+      if (!technologies.length) return [];
+
+      const types = new Set(Object.keys(relations).filter((type) => items[type])); // Skip empty item types
+
+      // Literals present in each large text value, found in one pass so
+      // patterns whose required literal is absent are not run
+      const literals = prefilterTypes.reduce((literals, type) => {
+        const matcher = Wappalyzer.index.literals.get(type);
+
+        if (matcher && matcher.size && typeof items[type] === "string") {
+          literals[type] = matcher.match(items[type].toLowerCase());
+        }
+
+        return literals;
+      }, {});
+
+      try {
+        const detections = Wappalyzer.withBudget(budget, () =>
+          technologies.flatMap((technology) => {
+            // Only relations the technology has patterns for
+            const technologyTypes =
+              Wappalyzer.index.relations.get(technology) ||
+              Object.keys(relations).filter((type) => hasPatterns(technology[type]));
+
+            return technologyTypes.reduce((acc, type) => {
+              if (!types.has(type)) return acc;
+
+              const results = Wappalyzer[relations[type]](
+                technology,
+                type,
+                items[type],
+                literals[type]
+              );
+              return results.length ? acc.concat(results) : acc;
+            }, []);
+          })
+        );
 
-        // Remove unmatched back references
-        resolved = resolved.replace(/\\\d/, "");
+        return detections;
+      } catch (error) {
+        throw new Error(error.message || error.toString());
       }
-    }
+    },
 
-    return resolved;
-  },
 
-  /**
-   * Resolve promises for excluded technology.
-   * @param {Promise} resolved
-   */
-  resolveExcludes(resolved) {
-    resolved.forEach(({ technology }) => {
-      technology.excludes.forEach(({ name }) => {
-        const excluded = Wappalyzer.getTechnology(name);
+    /**
+     * Extract technologies from data collected.
+     * @param {object} data
+     */
+    setTechnologies(data) {
+      const transform = Wappalyzer.transformPatterns;
 
-        if (!excluded) {
-          throw new Error(`Excluded technology does not exist: ${name}`);
-        }
+      Wappalyzer.technologies = Object.keys(data).reduce((technologies, name) => {
+        const {
+          cats,
+          certIssuer,
+          cookies,
+          cpe,
+          css,
+          description,
+          dns,
+          dom,
+          excludes,
+          headers,
+          html,
+          icon,
+          implies,
+          js,
+          meta,
+          pricing,
+          probe,
+          requires,
+          requiresCategory,
+          robots,
+          scriptSrc,
+          scripts,
+          text,
+          url,
+          website,
+          xhr,
+        } = data[name];
 
-        let index;
+        technologies.push({
+          categories: cats || [],
+          certIssuer: transform(certIssuer),
+          cookies: transform(cookies),
+          cpe: cpe || null,
+          css: transform(css),
+          description: description || null,
+          dns: transform(dns),
+          dom: transform(toDomPatterns(dom), true, false),
+          excludes: transform(excludes).map(({ value }) => ({ name: value })),
+          headers: transform(headers),
+          html: transform(html),
+          icon: icon || "default.svg",
+          implies: transform(implies).map(({ value, confidence, version }) => ({
+            name: value,
+            confidence,
+            version,
+          })),
+          js: transform(js, true),
+          meta: transform(meta),
+          name,
+          pricing: pricing || [],
+          probe: transform(probe, true),
+          requires: transform(requires).map(({ value }) => ({ name: value })),
+          requiresCategory: transform(requiresCategory).map(({ value }) => ({
+            id: value,
+          })),
+          robots: transform(robots),
+          scriptSrc: transform(scriptSrc),
+          scripts: transform(scripts),
+          slug: Wappalyzer.slugify(name),
+          text: transform(text),
+          url: transform(url),
+          website: website || null,
+          xhr: transform(xhr),
+        });
 
-        do {
-          index = resolved.findIndex(
-            ({ technology: { name } }) => name === excluded.name
-          );
+        return technologies;
+      }, []);
 
-          if (index !== -1) {
-            resolved.splice(index, 1);
-          }
-        } while (index !== -1);
-      });
-    });
-  },
-
-  /**
-   * Resolve promises for implied technology.
-   * @param {Promise} resolved
-   */
-  resolveImplies(resolved) {
-    let done = false;
-
-    do {
-      done = true;
-
-      resolved.forEach(({ technology, confidence, lastUrl }) => {
-        technology.implies.forEach(
-          ({ name, confidence: _confidence, version }) => {
-            const implied = Wappalyzer.getTechnology(name);
-
-            if (!implied) {
-              throw new Error(`Implied technology does not exist: ${name}`);
-            }
+      // Rebuilt from scratch so that repeated calls don't accumulate state
+      const requires = {};
+      const categoryRequires = {};
 
-            if (
-              resolved.findIndex(
-                ({ technology: { name } }) => name === implied.name
-              ) === -1
-            ) {
-              resolved.push({
-                technology: implied,
-                confidence: Math.min(confidence, _confidence),
-                version: version || "",
-                lastUrl,
-              });
+      Wappalyzer.requires = [];
+      Wappalyzer.categoryRequires = [];
 
-              done = false;
+      Wappalyzer.technologies
+        .filter(({ requires }) => requires.length)
+        .forEach((technology) =>
+          technology.requires.forEach(({ name }) => {
+            if (!data[name]) {
+              throw new Error(`Required technology does not exist: ${name}`);
             }
-          }
+
+            requires[name] = requires[name] || [];
+
+            requires[name].push(technology);
+          })
         );
-      });
-    } while (resolved.length && !done);
-  },
-
-  /**
-   * Initialize analyzation.
-   * @param {*} param0
-   */
-  analyze(items, technologies = Wappalyzer.technologies) {
-    if (!technologies.length) return [];
-
-    const oo = Wappalyzer.analyzeOneToOne;
-    const om = Wappalyzer.analyzeOneToMany;
-    const mm = Wappalyzer.analyzeManyToMany;
-
-    const relations = {
-      certIssuer: oo, cookies: mm, css: oo, dns: mm, headers: mm,
-      html: oo, meta: mm, probe: mm, robots: oo, scriptSrc: om,
-      scripts: oo, text: oo, url: oo, xhr: oo,
-    };
-
-    try {
-      const detections = technologies.flatMap((technology) => {
-        return Object.keys(relations).reduce((acc, type) => {
-          if (!items[type]) return acc; // Skip empty item types
-
-          const results = relations[type](technology, type, items[type]);
-          return results.length ? acc.concat(results) : acc;
-        }, []);
-      });
 
-      return detections;
-    } catch (error) {
-      throw new Error(error.message || error.toString());
-    }
-  },
-
-
-  /**
-   * Extract technologies from data collected.
-   * @param {object} data
-   */
-  setTechnologies(data) {
-    const transform = Wappalyzer.transformPatterns;
-
-    Wappalyzer.technologies = Object.keys(data).reduce((technologies, name) => {
-      const {
-        cats,
-        certIssuer,
-        cookies,
-        cpe,
-        css,
-        description,
-        dns,
-        dom,
-        excludes,
-        headers,
-        html,
-        icon,
-        implies,
-        js,
-        meta,
-        pricing,
-        probe,
-        requires,
-        requiresCategory,
-        robots,
-        scriptSrc,
-        scripts,
-        text,
-        url,
-        website,
-        xhr,
-      } = data[name];
-
-      technologies.push({
-        categories: cats || [],
-        certIssuer: transform(certIssuer),
-        cookies: transform(cookies),
-        cpe: cpe || null,
-        css: transform(css),
-        description: description || null,
-        dns: transform(dns),
-        dom: transform(
-          typeof dom === "string" || Array.isArray(dom)
-            ? toArray(dom).reduce(
-              (dom, selector) => ({ ...dom, [selector]: { exists: "" } }),
-              {}
-            )
-            : dom,
-          true,
-          false
-        ),
-        excludes: transform(excludes).map(({ value }) => ({ name: value })),
-        headers: transform(headers),
-        html: transform(html),
-        icon: icon || "default.svg",
-        implies: transform(implies).map(({ value, confidence, version }) => ({
-          name: value,
-          confidence,
-          version,
-        })),
-        js: transform(js, true),
-        meta: transform(meta),
-        name,
-        pricing: pricing || [],
-        probe: transform(probe, true),
-        requires: transform(requires).map(({ value }) => ({ name: value })),
-        requiresCategory: transform(requiresCategory).map(({ value }) => ({
-          id: value,
-        })),
-        robots: transform(robots),
-        scriptSrc: transform(scriptSrc),
-        scripts: transform(scripts),
-        slug: Wappalyzer.slugify(name),
-        text: transform(text),
-        url: transform(url),
-        website: website || null,
-        xhr: transform(xhr),
-      });
+      Wappalyzer.technologies
+        .filter(({ requiresCategory }) => requiresCategory.length)
+        .forEach((technology) =>
+          technology.requiresCategory.forEach(({ id }) => {
+            categoryRequires[id] = categoryRequires[id] || [];
 
-      return technologies;
-    }, []);
+            categoryRequires[id].push(technology);
+          })
+        );
 
-    Wappalyzer.technologies
-      .filter(({ requires }) => requires.length)
-      .forEach((technology) =>
-        technology.requires.forEach(({ name }) => {
-          if (!Wappalyzer.getTechnology(name)) {
-            throw new Error(`Required technology does not exist: ${name}`);
-          }
+      Wappalyzer.requires = Object.keys(requires).map((name) => ({
+        name,
+        technologies: requires[name],
+      }));
 
-          Wappalyzer.requires[name] = Wappalyzer.requires[name] || [];
+      Wappalyzer.categoryRequires = Object.keys(categoryRequires).map((id) => ({
+        categoryId: parseInt(id, 10),
+        technologies: categoryRequires[id],
+      }));
 
-          Wappalyzer.requires[name].push(technology);
-        })
+      Wappalyzer.technologies = Wappalyzer.technologies.filter(
+        ({ requires, requiresCategory }) =>
+          !requires.length && !requiresCategory.length
       );
 
-    Wappalyzer.requires = Object.keys(Wappalyzer.requires).map((name) => ({
-      name,
-      technologies: Wappalyzer.requires[name],
-    }));
+      Wappalyzer.buildIndex();
+    },
+
+    /**
+     * Assign categories for data.
+     * @param {Object} data
+     */
+    setCategories(data) {
+      Wappalyzer.categories = Object.keys(data)
+        .reduce((categories, id) => {
+          const category = data[id];
+
+          categories.push({
+            id: parseInt(id, 10),
+            slug: Wappalyzer.slugify(category.name),
+            ...category,
+          });
 
-    Wappalyzer.technologies
-      .filter(({ requiresCategory }) => requiresCategory.length)
-      .forEach((technology) =>
-        technology.requiresCategory.forEach(({ id }) => {
-          Wappalyzer.categoryRequires[id] =
-            Wappalyzer.categoryRequires[id] || [];
+          return categories;
+        }, [])
+        .sort(({ priority: a }, { priority: b }) => (a > b ? -1 : 0));
+
+      Wappalyzer.buildIndex();
+    },
+
+    /**
+     * Check technologies before they are set, so that broken references
+     * surface up front instead of as errors thrown at scan time.
+     * @param {Object} data - Technologies keyed by name, as for `setTechnologies`.
+     * @param {Object} categories - Categories keyed by id, as for `setCategories`.
+     * @param {string[]} [names] - Only check these technologies.
+     * @returns {string[]} - Problems found, empty when valid.
+     */
+    validateTechnologies(data, categories, names = Object.keys(data)) {
+      const errors = [];
+      const transform = Wappalyzer.transformPatterns;
+
+      const patternKeys = [
+        "certIssuer", "cookies", "css", "dns", "headers", "html", "meta",
+        "robots", "scriptSrc", "scripts", "text", "url", "xhr",
+      ];
+
+      names.forEach((name) => {
+        const technology = data[name];
+
+        if (!technology || typeof technology !== "object") {
+          errors.push(`${name}: definition must be an object`);
+          return;
+        }
 
-          Wappalyzer.categoryRequires[id].push(technology);
-        })
-      );
+        toArray(technology.cats || []).forEach((id) => {
+          if (!categories[id]) {
+            errors.push(`${name}: category does not exist: ${id}`);
+          }
+        });
 
-    Wappalyzer.categoryRequires = Object.keys(Wappalyzer.categoryRequires).map(
-      (id) => ({
-        categoryId: parseInt(id, 10),
-        technologies: Wappalyzer.categoryRequires[id],
-      })
-    );
-
-    Wappalyzer.technologies = Wappalyzer.technologies.filter(
-      ({ requires, requiresCategory }) =>
-        !requires.length && !requiresCategory.length
-    );
-  },
-
-  /**
-   * Assign categories for data.
-   * @param {Object} data
-   */
-  setCategories(data) {
-    Wappalyzer.categories = Object.keys(data)
-      .reduce((categories, id) => {
-        const category = data[id];
-
-        categories.push({
-          id: parseInt(id, 10),
-          slug: Wappalyzer.slugify(category.name),
-          ...category,
+        try {
+          patternKeys.forEach((key) => transform(technology[key]));
+          transform(technology.js, true);
+          transform(technology.probe, true);
+          // Regexes of `text`, `attributes` and `properties`
+          transform(toDomPatterns(technology.dom), true, false);
+        } catch (error) {
+          errors.push(`${name}: invalid pattern: ${error.message}`);
+        }
+
+        Object.keys(toDomPatterns(technology.dom) || {}).forEach((selector) => {
+          emptyDocument = emptyDocument || cheerio.load("");
+
+          try {
+            emptyDocument(selector);
+          } catch (error) {
+            errors.push(`${name}: invalid dom selector: ${selector} (${error.message})`);
+          }
         });
 
-        return categories;
-      }, [])
-      .sort(({ priority: a }, { priority: b }) => (a > b ? -1 : 0));
-  },
-
-  /**
-   * Transform patterns for internal use.
-   * @param {string|array} patterns
-   * @param {boolean} caseSensitive
-   */
-  transformPatterns(patterns, caseSensitive = false, isRegex = true) {
-    if (!patterns) {
-      return [];
-    }
+        [
+          ["implies", "Implied"],
+          ["excludes", "Excluded"],
+          ["requires", "Required"],
+        ].forEach(([key, label]) => {
+          transform(technology[key]).forEach(({ value }) => {
+            if (!data[value]) {
+              errors.push(`${name}: ${label} technology does not exist: ${value}`);
+            }
+          });
+        });
 
-    if (
-      typeof patterns === "string" ||
-      typeof patterns === "number" ||
-      Array.isArray(patterns)
-    ) {
-      patterns = { main: patterns };
-    }
+        transform(technology.requiresCategory).forEach(({ value }) => {
+          if (!categories[value]) {
+            errors.push(`${name}: Required category does not exist: ${value}`);
+          }
+        });
+      });
 
-    const parsed = Object.keys(patterns).reduce((parsed, key) => {
-      parsed[caseSensitive ? key : key.toLowerCase()] = toArray(
-        patterns[key]
-      ).map((pattern) => Wappalyzer.parsePattern(pattern, isRegex));
-
-      return parsed;
-    }, {});
-
-    return "main" in parsed ? parsed.main : parsed;
-  },
-
-  /**
-   * Extract information from regex pattern.
-   * @param {string|object} pattern
-   */
-  parsePattern(pattern, isRegex = true) {
-    if (typeof pattern === "object") {
-      return Object.keys(pattern).reduce(
-        (parsed, key) => ({
-          ...parsed,
-          [key]: Wappalyzer.parsePattern(pattern[key]),
-        }),
-        {}
-      );
-    } else {
-      const { value, regex, confidence, version } = pattern
-        .toString()
-        .split("\\;")
-        .reduce((attrs, attr, i) => {
-          if (i) {
-            // Key value pairs
-            attr = attr.split(":");
-
-            if (attr.length > 1) {
-              attrs[attr.shift()] = attr.join(":");
+      return errors;
+    },
+
+    /**
+     * Transform patterns for internal use.
+     * @param {string|array} patterns
+     * @param {boolean} caseSensitive
+     */
+    transformPatterns(patterns, caseSensitive = false, isRegex = true) {
+      if (!patterns) {
+        return [];
+      }
+
+      if (
+        typeof patterns === "string" ||
+        typeof patterns === "number" ||
+        Array.isArray(patterns)
+      ) {
+        patterns = { main: patterns };
+      }
+
+      const parsed = Object.keys(patterns).reduce((parsed, key) => {
+        parsed[caseSensitive ? key : key.toLowerCase()] = toArray(
+          patterns[key]
+        ).map((pattern) => Wappalyzer.parsePattern(pattern, isRegex));
+
+        return parsed;
+      }, {});
+
+      return "main" in parsed ? parsed.main : parsed;
+    },
+
+    /**
+     * Extract information from regex pattern.
+     * @param {string|object} pattern
+     */
+    parsePattern(pattern, isRegex = true) {
+      if (typeof pattern === "object") {
+        return Object.keys(pattern).reduce(
+          (parsed, key) => ({
+            ...parsed,
+            [key]: Wappalyzer.parsePattern(pattern[key]),
+          }),
+          {}
+        );
+      } else {
+        const { value, regex, confidence, version } = pattern
+          .toString()
+          .split("\\;")
+          .reduce((attrs, attr, i) => {
+            if (i) {
+              // Key value pairs
+              attr = attr.split(":");
+
+              if (attr.length > 1) {
+                attrs[attr.shift()] = attr.join(":");
+              }
+            } else {
+              attrs.value = typeof pattern === "number" ? pattern : attr;
+
+              attrs.regex = new RegExp(
+                isRegex
+                  ? attr
+                    // Escape slashes
+                    .replace(/\//g, "\\/")
+                    // Optimise quantifiers for long strings
+                    .replace(/\\\+/g, "__escapedPlus__")
+                    .replace(/\+/g, "{1,250}")
+                    .replace(/\*/g, "{0,250}")
+                    .replace(/__escapedPlus__/g, "\\+")
+                  : "",
+                "i"
+              );
             }
-          } else {
-            attrs.value = typeof pattern === "number" ? pattern : attr;
-
-            attrs.regex = new RegExp(
-              isRegex
-                ? attr
-                  // Escape slashes
-                  .replace(/\//g, "\\/")
-                  // Optimise quantifiers for long strings
-                  .replace(/\\\+/g, "__escapedPlus__")
-                  .replace(/\+/g, "{1,250}")
-                  .replace(/\*/g, "{0,250}")
-                  .replace(/__escapedPlus__/g, "\\+")
-                : "",
-              "i"
-            );
+
+            return attrs;
+          }, {});
+
+        return {
+          value,
+          regex,
+          literal: isRegex ? getRequiredLiteral(regex.source) : null,
+          confidence: parseInt(confidence || 100, 10),
+          version: version || "",
+        };
+      }
+    },
+
+    /**
+     * @todo describe
+     * @param {Object} technology
+     * @param {String} type
+     * @param {String} value
+     * @param {Set} [literals] - Literals present in the value, see `analyze`.
+     */
+    analyzeOneToOne(technology, type, value, literals) {
+      const deferred = prefilterTypes.includes(type)
+        ? Wappalyzer.budget?.deferred
+        : null;
+
+      return technology[type].reduce((technologies, pattern) => {
+        if (literals && pattern.literal && !literals.has(pattern.literal)) {
+          return technologies;
+        }
+
+        if (deferred) {
+          if (!Wappalyzer.isBlocked(technology, type, pattern)) {
+            deferred.push({ technology, type, pattern, value });
           }
 
-          return attrs;
-        }, {});
+          return technologies;
+        }
+
+        const matches = Wappalyzer.exec(technology, type, pattern, value);
+
+        if (matches) {
+          technologies.push(
+            Wappalyzer.createDetection(technology, type, pattern, value, matches)
+          );
+        }
 
+        return technologies;
+      }, []);
+    },
+
+    /**
+     * Create a detection from a pattern's matches.
+     * @param {Object} technology
+     * @param {String} type
+     * @param {Object} pattern
+     * @param {String} value
+     * @param {Array} matches - Result of `exec`.
+     */
+    createDetection(technology, type, pattern, value, matches) {
       return {
-        value,
-        regex,
-        confidence: parseInt(confidence || 100, 10),
-        version: version || "",
+        technology,
+        pattern: {
+          ...pattern,
+          type,
+          value,
+          match: matches[0],
+        },
+        version: Wappalyzer.resolveVersion(pattern, value, matches),
       };
-    }
-  },
-
-  /**
-   * @todo describe
-   * @param {Object} technology
-   * @param {String} type
-   * @param {String} value
-   */
-  analyzeOneToOne(technology, type, value) {
-    return technology[type].reduce((technologies, pattern) => {
-      const startTime = Date.now();
+    },
 
-      const matches = pattern.regex.exec(value);
+    /**
+     * @todo update
+     * @param {Object} technology
+     * @param {String} type
+     * @param {Array|String} items
+     */
+    analyzeOneToMany(technology, type, items = []) {
+      return toArray(items).reduce((technologies, value) => {
+        const patterns = technology[type] || [];
 
-      if (matches) {
-        technologies.push({
-          technology,
-          pattern: {
-            ...pattern,
-            type,
-            value,
-            match: matches[0],
-          },
-          version: Wappalyzer.resolveVersion(pattern, value),
+        patterns.forEach((pattern) => {
+          const matches = Wappalyzer.exec(technology, type, pattern, value);
+
+          if (matches) {
+            technologies.push(
+              Wappalyzer.createDetection(technology, type, pattern, value, matches)
+            );
+          }
+        });
+
+        return technologies;
+      }, []);
+    },
+
+    /**
+     *
+     * @param {Object} technology
+     * @param {string} types
+     * @param {Array} items
+     */
+    analyzeManyToMany(technology, types, items = {}) {
+      if (!items || !technology[types.split(".")[0]]) return [];
+
+      const [type, ...subtypes] = types.split(".");
+      const techPatterns = technology[type];
+
+      return Object.keys(techPatterns).reduce((technologies, key) => {
+        const values = Array.isArray(items[key]) ? items[key] : items[key] ? [items[key]] : null;
+        if (!values) return technologies; // Skip if no matching values
+
+        const patterns = techPatterns[key] || [];
+
+        patterns.forEach((_pattern) => {
+          const pattern = subtypes.reduce((p, subtype) => p?.[subtype] || {}, _pattern);
+          if (!pattern.regex) return; // Skip if no valid regex pattern
+
+          values.forEach((value) => {
+            const matches = Wappalyzer.exec(technology, type, pattern, value);
+
+            if (matches) {
+              technologies.push({
+                technology,
+                pattern: {
+                  ...pattern,
+                  type,
+                  ...(subtypes.length ? { subtype: subtypes.join(".") } : {}),
+                  key,
+                  value,
+                  match: matches[0],
+                },
+                version: Wappalyzer.resolveVersion(pattern, value, matches),
+              });
+            }
+          });
         });
-      }
 
-      benchmark(Date.now() - startTime, pattern, value, technology);
+        return technologies;
+      }, []);
+    },
+
+    /**
+     * Collect JavaScript chains referenced by fingerprints from a page's globals.
+     * Accepts either a nested dump of `window` or a flat map of chain to value.
+     * @param {Object} js
+     * @param {Array} technologies
+     * @returns {Array} - List of `{ name, chain, value }` entries.
+     */
+    getJs(js, technologies = Wappalyzer.technologies) {
+      if (!js || typeof js !== "object") {
+        return [];
+      }
 
-      return technologies;
-    }, []);
-  },
+      const toScalar = (value) =>
+        typeof value === "string" || typeof value === "number"
+          ? value
+          : !!value;
 
-  /**
-   * @todo update
-   * @param {Object} technology
-   * @param {String} type
-   * @param {Array} items
-   */
-  analyzeOneToMany(technology, type, items = []) {
-    return items.reduce((technologies, value) => {
-      const patterns = technology[type] || [];
+      const lookup = (chain) => {
+        if (Object.prototype.hasOwnProperty.call(js, chain)) {
+          return js[chain];
+        }
 
-      patterns.forEach((pattern) => {
-        const startTime = Date.now();
+        return chain
+          .split(".")
+          .reduce(
+            (value, property) =>
+              value &&
+                typeof value === "object" &&
+                Object.prototype.hasOwnProperty.call(value, property)
+                ? value[property]
+                : undefined,
+            js
+          );
+      };
 
-        const matches = pattern.regex.exec(value);
+      return technologies
+        .filter(({ js }) => js && js.constructor === Object)
+        .flatMap(({ name, js: chains }) =>
+          Object.keys(chains).reduce((results, chain) => {
+            const value = lookup(chain);
 
-        if (matches) {
-          technologies.push({
-            technology,
-            pattern: {
-              ...pattern,
-              type,
-              value,
-              match: matches[0],
-            },
-            version: Wappalyzer.resolveVersion(pattern, value),
-          });
-        }
+            if (typeof value !== "undefined" && value !== null) {
+              results.push({ name, chain, value: toScalar(value) });
+            }
 
-        benchmark(Date.now() - startTime, pattern, value, technology);
+            return results;
+          }, [])
+        );
+    },
+
+    /**
+     * Complete the report of a pattern that was run elsewhere, see
+     * `explainPatterns`.
+     * @param {Object} report
+     * @param {Object} pattern
+     * @param {String} value
+     * @param {Array|null} matches - Result of `exec`.
+     */
+    explainMatch(report, pattern, value, matches) {
+      Object.assign(report, {
+        matched: !!matches,
+        ...(matches
+          ? {
+            match: String(matches[0]).slice(0, 200),
+            version: Wappalyzer.resolveVersion(pattern, value, matches),
+          }
+          : {}),
       });
+    },
+
+    /**
+     * Test every pattern of a technology against collected items, for
+     * diagnostics. Unlike `analyze`, patterns that did not match or had no
+     * input are reported too. With the `detections` of an analysis that
+     * covered the technology, matches are read from them instead of running
+     * patterns again. Otherwise patterns run once each, through `exec` and
+     * within the budget, and with `budget.deferred` text patterns are
+     * collected there to be run elsewhere and reported with `explainMatch`.
+     * Blocked patterns are reported without being run.
+     * @param {Object} technology
+     * @param {Object} items
+     * @param {Object} [budget] - Regex time budget, see `withBudget`.
+     * @param {Array} [detections] - Detections of an analysis of the items.
+     * @returns {Array} - One report per pattern. `missing` is set when the
+     *   relation had no input at all, `input` is null when it had input but
+     *   nothing for this key or selector.
+     */
+    explainPatterns(technology, items, budget, detections = null) {
+      return Wappalyzer.withBudget(budget, () => {
+        const reports = [];
+        const truncate = (value) => String(value).slice(0, 200);
+        const deferred = Wappalyzer.budget?.deferred;
+
+        const report = (type, key, pattern, inputs, missing) => {
+          const values = inputs.filter(
+            (value) => typeof value !== "undefined" && value !== null
+          );
+          // Patterns are blocked and timed by relation, e.g. `dom` for `dom.text`
+          const [relation] = type.split(".");
+          const entry = {
+            type,
+            ...(typeof key !== "undefined" ? { key } : {}),
+            pattern: pattern.regex.source,
+            confidence: pattern.confidence,
+            missing,
+            input: values.length ? truncate(values[0]) : null,
+            matched: false,
+          };
 
-      return technologies;
-    }, []);
-  },
+          reports.push(entry);
 
-  /**
-   *
-   * @param {Object} technology
-   * @param {string} types
-   * @param {Array} items
-   */
-  analyzeManyToMany(technology, types, items = {}) {
-    if (!items || !technology[types.split(".")[0]]) return [];
+          if (Wappalyzer.isBlocked(technology, relation, pattern)) {
+            entry.blocked = true;
 
-    const [type, ...subtypes] = types.split(".");
-    const techPatterns = technology[type];
+            return;
+          }
+
+          if (detections) {
+            const detection = detections.find(
+              ({ technology: { name }, pattern: { regex, type: _type, value } }) =>
+                name === technology.name &&
+                regex === pattern.regex &&
+                _type === relation &&
+                values.includes(value)
+            );
+
+            if (detection) {
+              Object.assign(entry, {
+                input: truncate(detection.pattern.value),
+                matched: true,
+                match: truncate(detection.pattern.match),
+                version: detection.version,
+              });
+            }
 
-    return Object.keys(techPatterns).reduce((technologies, key) => {
-      const values = Array.isArray(items[key]) ? items[key] : items[key] ? [items[key]] : null;
-      if (!values) return technologies; // Skip if no matching values
+            return;
+          }
 
-      const patterns = techPatterns[key] || [];
+          if (deferred && prefilterTypes.includes(type) && values.length) {
+            deferred.push({ technology, type, pattern, value: values[0], report: entry });
 
-      patterns.forEach((_pattern) => {
-        const pattern = subtypes.reduce((p, subtype) => p?.[subtype] || {}, _pattern);
-        if (!pattern.regex) return; // Skip if no valid regex pattern
+            return;
+          }
 
-        values.forEach((value) => {
-          const startTime = performance.now();
-          const matches = pattern.regex.exec(value);
+          values.some((value) => {
+            const matches = Wappalyzer.exec(technology, relation, pattern, value);
 
-          if (matches) {
-            technologies.push({
-              technology,
-              pattern: {
-                ...pattern,
+            if (matches) {
+              entry.input = truncate(value);
+              Wappalyzer.explainMatch(entry, pattern, value, matches);
+            }
+
+            return !!matches;
+          });
+        };
+
+        ["certIssuer", "css", "html", "robots", "scripts", "text", "url"].forEach(
+          (type) =>
+            technology[type].forEach((pattern) =>
+              report(type, undefined, pattern, items[type] ? [items[type]] : [], !items[type])
+            )
+        );
+
+        ["scriptSrc", "xhr"].forEach((type) =>
+          technology[type].forEach((pattern) =>
+            report(
+              type,
+              undefined,
+              pattern,
+              items[type] ? toArray(items[type]) : [],
+              !toArray(items[type] || []).length
+            )
+          )
+        );
+
+        ["cookies", "dns", "headers", "meta", "probe"].forEach((type) =>
+          Object.keys(technology[type]).forEach((key) =>
+            technology[type][key].forEach((pattern) =>
+              report(
                 type,
-                value,
-                match: matches[0],
-              },
-              version: Wappalyzer.resolveVersion(pattern, value),
-            });
+                key,
+                pattern,
+                items[type]?.[key] ? toArray(items[type][key]) : [],
+                !items[type] || !Object.keys(items[type]).length
+              )
+            )
+          )
+        );
 
-            benchmark(performance.now() - startTime, pattern, value, technology);
-          }
-        });
-      });
+        const js = Wappalyzer.getJs(items.js, [technology]);
 
-      return technologies;
-    }, []);
-  },
-
-  /**
-   * Analyzes JavaScript variables
-   * @param {String} url
-   * @param {Array} js
-   * @param {Array} requires
-   * @param {Array} categoryRequires
-   */
-  analyzeJs(url, js, requires, categoryRequires) {
-    const technologies =
-      Wappalyzer.getRequiredTechnologies(requires, categoryRequires) ||
-      Wappalyzer.technologies;
-
-    return js
-      .map(({ name, chain, value }) => {
-        const technology = technologies.find(
-          ({ name: _name }) => name === _name
+        Object.keys(technology.js).forEach((chain) =>
+          technology.js[chain].forEach((pattern) =>
+            report(
+              "js",
+              chain,
+              pattern,
+              js.filter(({ chain: _chain }) => chain === _chain).map(({ value }) => value),
+              !items.js || !Object.keys(items.js).length
+            )
+          )
         );
 
-        return technology
-          ? Wappalyzer.analyzeManyToMany(technology, "js", {
-            [chain]: [value],
-          })
-          : [];
-      })
-      .flat();
-  },
-
-  /**
-   * Analyzes DOM nodes
-   * @param {String} url
-   * @param {Array} dom
-   * @param {Array} requires
-   * @param {Array} categoryRequires
-   */
-  analyzeDom: async (url, $, requires, categoryRequires) => {
-    const technologies =
-      Wappalyzer.getRequiredTechnologies(requires, categoryRequires) ||
-      Wappalyzer.technologies;
-
-    const results = [];
-
-    const getDom = async (technologies) => {
-      const _technologies = technologies
-        .filter(({ dom }) => dom && dom.constructor === Object)
-        .map(({ name, dom }) => ({ name, dom }));
+        const $ = items.dom;
 
-      const toScalar = (value) =>
-        typeof value === "string" || typeof value === "number"
-          ? value
-          : !!value;
+        Object.keys(technology.dom).forEach((selector) => {
+          let nodes = [];
+
+          try {
+            nodes = $ ? $(selector).toArray() : [];
+          } catch {
+            // Selector not supported by cheerio
+          }
+
+          technology.dom[selector].forEach(({ exists, text, attributes, properties }) => {
+            if (exists) {
+              report("dom.exists", selector, exists, nodes.length ? [""] : [], !$);
+            }
+
+            if (text) {
+              report(
+                "dom.text",
+                selector,
+                text,
+                nodes.map((node) => $(node).text().trim()).filter(Boolean),
+                !$
+              );
+            }
+
+            Object.keys(attributes || {}).forEach((attribute) =>
+              report(
+                `dom.attributes.${attribute}`,
+                selector,
+                attributes[attribute],
+                nodes.map((node) => $(node).attr(attribute)).filter(Boolean),
+                !$
+              )
+            );
 
-      const result = [];
+            Object.keys(properties || {}).forEach((property) =>
+              report(
+                `dom.properties.${property}`,
+                selector,
+                properties[property],
+                nodes.map((node) => $(node).prop(property)),
+                !$
+              )
+            );
+          });
+        });
+
+        return reports;
+      });
+    },
+
+    /**
+     * List every JavaScript property chain referenced by fingerprints.
+     * @param {Array} technologies
+     * @returns {string[]}
+     */
+    getJsChains(technologies = Wappalyzer.getAllTechnologies()) {
+      return [
+        ...new Set(
+          technologies
+            .filter(({ js }) => js && js.constructor === Object)
+            .flatMap(({ js }) => Object.keys(js))
+        ),
+      ];
+    },
+
+    /**
+     * Analyzes JavaScript variables
+     * @param {String} url
+     * @param {Array} js
+     * @param {Array} requires
+     * @param {Array} categoryRequires
+     * @param {Object} [budget] - Regex time budget, see `withBudget`.
+     */
+    analyzeJs(url, js, requires, categoryRequires, budget) {
+      const technologies =
+        Wappalyzer.getRequiredTechnologies(requires, categoryRequires) ||
+        Wappalyzer.technologies;
+
+      const byName = new Map(
+        technologies.map((technology) => [technology.name, technology])
+      );
 
-      _technologies.forEach(({ name, dom }) => {
-        Object.keys(dom).forEach((selector) => {
-          const nodes = $(selector);
+      return Wappalyzer.withBudget(budget, () =>
+        js
+          .map(({ name, chain, value }) => {
+            const technology = byName.get(name);
 
-          if (!nodes.length) {
+            return technology
+              ? Wappalyzer.analyzeManyToMany(technology, "js", {
+                [chain]: [value],
+              })
+              : [];
+          })
+          .flat()
+      );
+    },
+
+    /**
+     * Analyzes DOM nodes
+     * @param {String} url
+     * @param {Array} dom
+     * @param {Array} requires
+     * @param {Array} categoryRequires
+     * @param {Object} [budget] - Regex time budget, see `withBudget`.
+     */
+    analyzeDom: async (url, $, requires, categoryRequires, budget) => {
+      const technologies =
+        Wappalyzer.getRequiredTechnologies(requires, categoryRequires) ||
+        Wappalyzer.technologies;
+
+      const results = [];
+
+      const getDom = async (technologies) => {
+        const _technologies = technologies
+          .filter(({ dom }) => dom && dom.constructor === Object)
+          .map(({ name, dom }) => ({ name, dom }));
+
+        const toScalar = (value) =>
+          typeof value === "string" || typeof value === "number"
+            ? value
+            : !!value;
+
+        const result = [];
+        const counts = new Map();
+        const seen = new Set();
+
+        // Records are unique per technology, selector and value
+        const add = (record, ...key) => {
+          const id = JSON.stringify([record.name, record.selector, ...key]);
+
+          if (seen.has(id)) {
             return;
           }
 
-          dom[selector].forEach(({ exists, text, properties, attributes }) => {
-            nodes.each((index, node) => {
-              if (
-                result.filter(({ name: _name }) => _name === name).length >= 50
-              ) {
-                return;
-              }
+          seen.add(id);
+          counts.set(record.name, (counts.get(record.name) || 0) + 1);
+          result.push(record);
+        };
 
-              if (
-                exists &&
-                result.findIndex(
-                  ({ name: _name, selector: _selector, exists }) =>
-                    name === _name && selector === _selector && exists === ""
-                ) === -1
-              ) {
-                result.push({
-                  name,
-                  selector,
-                  exists: "",
-                });
-              }
+        _technologies.forEach(({ name, dom }) => {
+          Object.keys(dom).forEach((selector) => {
+            let nodes;
 
-              if (text) {
-                const value = $(node).text().trim().slice(0, 1000000);
-
-                if (
-                  value &&
-                  result.findIndex(
-                    ({ name: _name, selector: _selector, text }) =>
-                      name === _name && selector === _selector && text === value
-                  ) === -1
-                ) {
-                  result.push({
-                    name,
-                    selector,
-                    text: value,
-                  });
+            try {
+              nodes = $(selector);
+            } catch {
+              // Selector not supported by cheerio
+              return;
+            }
+
+            if (!nodes.length) {
+              return;
+            }
+
+            dom[selector].forEach(({ exists, text, properties, attributes }) => {
+              nodes.each((index, node) => {
+                if ((counts.get(name) || 0) >= 50) {
+                  return;
                 }
-              }
 
-              if (properties) {
-                Object.keys(properties).forEach((property) => {
-                  const value = $(node).prop(property);
-
-                  if (
-                    typeof value !== "undefined" &&
-                    result.findIndex(
-                      ({
-                        name: _name,
-                        selector: _selector,
-                        property: _property,
-                        value: _value,
-                      }) =>
-                        name === _name &&
-                        selector === _selector &&
-                        property === _property &&
-                        value === toScalar(_value)
-                    ) === -1
-                  ) {
-                    result.push({
-                      name,
-                      selector,
-                      property,
-                      value: toScalar(value),
-                    });
-                  }
-                });
-              }
+                if (exists) {
+                  add({ name, selector, exists: "" }, "exists");
+                }
+
+                if (text) {
+                  const value = $(node).text().trim().slice(0, 1000000);
 
-              if (attributes) {
-                Object.keys(attributes).forEach((attribute) => {
-                  const value = $(node).attr(attribute);
-
-                  if (
-                    value &&
-                    result.findIndex(
-                      ({
-                        name: _name,
-                        selector: _selector,
-                        attribute: _attribute,
-                        value: _value,
-                      }) =>
-                        name === _name &&
-                        selector === _selector &&
-                        attribute === _attribute &&
-                        value === toScalar(_value)
-                    ) === -1
-                  ) {
-                    result.push({
-                      name,
-                      selector,
-                      attribute,
-                      value: toScalar(value),
-                    });
+                  if (value) {
+                    add({ name, selector, text: value }, "text", value);
                   }
-                });
-              }
+                }
+
+                if (properties) {
+                  Object.keys(properties).forEach((property) => {
+                    const value = $(node).prop(property);
+
+                    if (typeof value !== "undefined") {
+                      add(
+                        { name, selector, property, value: toScalar(value) },
+                        "property",
+                        property,
+                        toScalar(value)
+                      );
+                    }
+                  });
+                }
+
+                if (attributes) {
+                  Object.keys(attributes).forEach((attribute) => {
+                    const value = $(node).attr(attribute);
+
+                    if (value) {
+                      add(
+                        { name, selector, attribute, value: toScalar(value) },
+                        "attribute",
+                        attribute,
+                        toScalar(value)
+                      );
+                    }
+                  });
+                }
+              });
             });
           });
         });
-      });
 
-      return result;
-    };
+        return result;
+      };
+
+      const domResults = await getDom(technologies);
+      const byName = new Map(
+        technologies.map((technology) => [technology.name, technology])
+      );
 
-    const domResults = await getDom(technologies);
-    results.push(...domResults);
+      Wappalyzer.withBudget(budget, () =>
+        domResults.forEach(
+          ({ name, selector, exists, text, property, attribute, value }) => {
+            const technology = byName.get(name);
 
-    return results;
-  },
+            if (!technology) {
+              return;
+            }
 
-};
+            if (typeof exists !== "undefined") {
+              results.push(
+                ...Wappalyzer.analyzeManyToMany(technology, "dom.exists", {
+                  [selector]: [""],
+                })
+              );
+            } else if (typeof text !== "undefined") {
+              results.push(
+                ...Wappalyzer.analyzeManyToMany(technology, "dom.text", {
+                  [selector]: [text],
+                })
+              );
+            } else if (typeof property !== "undefined") {
+              results.push(
+                ...Wappalyzer.analyzeManyToMany(
+                  technology,
+                  `dom.properties.${property}`,
+                  { [selector]: [value] }
+                )
+              );
+            } else if (typeof attribute !== "undefined") {
+              results.push(
+                ...Wappalyzer.analyzeManyToMany(
+                  technology,
+                  `dom.attributes.${attribute}`,
+                  { [selector]: [value] }
+                )
+              );
+            }
+          }
+        )
+      );
+
+      return results;
+    },
+
+  };
+
+  return Wappalyzer;
+}
+
+const Wappalyzer = createWappalyzer();
 
 if (typeof module !== "undefined") {
   module.exports = Wappalyzer;
+  module.exports.createWappalyzer = createWappalyzer;
 }
 
+export { createWappalyzer };
+
 export default Wappalyzer;
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+test("rejects invalid dom regexes and selectors", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  for (const dom of [
+    { "#app": { text: "((" } },
+    { "a.logo": { attributes: { href: "((" } } },
+    { "#app": { properties: { version: "((" } } },
+    ["a[href"],
+    "((",
+  ]) {
+    await assert.rejects(
+      wappalyzer.addTechnologies({ Broken: definition({ dom }) }),
+      /Invalid technologies/
+    );
+  }
+});
+
+test("an invalid definition leaves the instance usable", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await assert.rejects(
+    wappalyzer.addTechnologies({ Broken: definition({ dom: { "#app": { text: "((" } } }) })
+  );
+
+  await wappalyzer.addTechnologies({ Acme: definition({ html: "acme-widget" }) });
+
+  const { technologies } = await wappalyzer.scanHTML(
+    '<html><body><div class="acme-widget"></div></body></html>',
+    { helpers: false, assets: { maxFiles: 0 } }
+  );
+
+  assert.ok(technologies.some(({ name }) => name === "Acme"));
+  assert.equal(await wappalyzer.getTechnology("Broken"), null);
+});
+
+test("accepts valid dom patterns", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    Acme: definition({ dom: { "a.acme": { attributes: { href: "acme-([\\d.]+)\\.js\\;version:\\1" } } } }),
+  });
+
+  const { technologies } = await wappalyzer.scanHTML(
+    '<html><body><a class="acme" href="/acme-1.2.js">x</a></body></html>',
+    { helpers: false, assets: { maxFiles: 0 } }
+  );
+
+  assert.equal(technologies.find(({ name }) => name === "Acme")?.version, "1.2");
+});
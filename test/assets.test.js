@@ -0,0 +1,76 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { Wappalyzer } from "../index.js";
+import { extractTechnologiesFromHTML } from "../src/scrape.js";
+
+let server;
+let siteUrl;
+
+before(
+  () =>
+    new Promise((resolve) => {
+      // Sends the headers and the start of the body, then stalls
+      server = http.createServer((req, res) => {
+        res.writeHead(200, { "Content-Type": "application/javascript" });
+        res.write("window.acmeWidget = true;");
+      });
+      server.listen(0, "127.0.0.1", () => {
+        siteUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+);
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const scan = async (assets) => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    Acme: { cats: [19], website: "https://example.com", scripts: "acmeWidget" },
+  });
+
+  const start = Date.now();
+  const result = await wappalyzer.scanHTML(
+    `<html><head><script src="${siteUrl}/acme.js"></script></head><body></body></html>`,
+    { url: `${siteUrl}/`, helpers: false, assets }
+  );
+
+  return { ...result, duration: Date.now() - start };
+};
+
+test("times out assets whose body never ends", async () => {
+  const { error, duration } = await scan({ timeout: 300 });
+
+  assert.ok(!error);
+  assert.ok(duration < 3000, `took ${duration}ms`);
+});
+
+test("stops reading assets once the byte budget runs out", async () => {
+  const { technologies, duration } = await scan({ timeout: 60000, maxBytes: 10 });
+
+  assert.ok(duration < 3000, `took ${duration}ms`);
+  assert.ok(!technologies.some(({ name }) => name === "Acme"));
+});
+
+test("counts recorded assets against the byte budget in bytes", async () => {
+  // Two bytes per character in UTF-8
+  const { css, scripts } = await extractTechnologiesFromHTML(
+    "<html></html>",
+    {
+      url: "https://example.com/",
+      assets: {
+        css: { "https://example.com/a.css": "éééé" },
+        scripts: { "https://example.com/a.js": "acme" },
+      },
+    },
+    { helpers: false, inline: false, assets: { maxBytes: 6 } }
+  );
+
+  assert.equal(css, "ééé");
+  assert.equal(scripts, "");
+});
@@ -0,0 +1,133 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+
+const bin = fileURLToPath(new URL("../bin/wappalyzer.js", import.meta.url));
+
+const html =
+  '<html><head><meta name="generator" content="WordPress 6.4.2"></head><body></body></html>';
+
+let server;
+let siteUrl;
+let dir;
+
+before(async () => {
+  server = http.createServer((req, res) =>
+    res.writeHead(200, { "Content-Type": "text/html" }).end(html)
+  );
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  siteUrl = `http://127.0.0.1:${server.address().port}`;
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "wappalyzer-"));
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI with `input` piped to stdin (an empty stdin if undefined).
+ */
+const run = (args, input = "") =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [bin, "--no-helpers", ...args], {
+      timeout: 60000,
+    });
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", reject);
+    child.on("close", (code) => resolve({ code, stdout, stderr }));
+
+    child.stdin.end(input);
+  });
+
+test("scans a file", async () => {
+  const file = path.join(dir, "page.html");
+
+  await fs.writeFile(file, html);
+
+  const { code, stdout } = await run([file]);
+
+  assert.equal(code, 0);
+  assert.match(stdout, /^Technology\s+Version\s+Confidence\s+Categories$/m);
+  assert.match(stdout, /^WordPress\s+6\.4\.2\s+100%/m);
+});
+
+test("scans HTML from stdin", async () => {
+  const { code, stdout } = await run(["--format", "json"], html);
+
+  assert.equal(code, 0);
+
+  const result = JSON.parse(stdout);
+
+  assert.equal(result.source, "stdin");
+  assert.ok(result.technologies.some(({ name }) => name === "WordPress"));
+});
+
+test("scans the URLs of a list, exiting with 1 when one fails", async () => {
+  const list = path.join(dir, "urls.txt");
+
+  await fs.writeFile(list, `# Sites\n${siteUrl}/\n\nhttp://127.0.0.1:1/\n`);
+
+  const { code, stdout } = await run(["--list", list, "--format", "ndjson", "--timeout", "5000"]);
+  const results = stdout
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line))
+    .sort((a, b) => a.source.localeCompare(b.source));
+
+  assert.equal(code, 1);
+  assert.deepEqual(
+    results.map(({ source, error }) => [source, error]),
+    [
+      ["http://127.0.0.1:1/", "Failed to scan URL technologies"],
+      [`${siteUrl}/`, undefined],
+    ]
+  );
+  assert.ok(results[1].technologies.some(({ name }) => name === "WordPress"));
+});
+
+test("filters technologies by category", async () => {
+  const { stdout } = await run(["--format", "json", "--category", "cms", "-"], html);
+
+  assert.deepEqual(
+    JSON.parse(stdout).technologies.map(({ name }) => name),
+    ["WordPress"]
+  );
+});
+
+test("exits with 2 on invalid arguments", async () => {
+  for (const [args, input, message] of [
+    [["--format", "xml", "page.html"], "", /--format must be one of/],
+    [["--concurrency", "0", "--list", "urls.txt"], "", /--concurrency must be a positive integer/],
+    [["a.html", "b.html"], "", /one URL, file or --list at a time/],
+    [["--unknown"], "", /Unknown option/],
+    // Nothing piped
+    [[], "", /Missing a URL, file or --list/],
+    [["-"], " \n", /No HTML on stdin/],
+  ]) {
+    const { code, stdout, stderr } = await run(args, input);
+
+    assert.equal(code, 2, args.join(" "));
+    assert.equal(stdout, "");
+    assert.match(stderr, message);
+    assert.match(stderr, /Usage: wappalyzer/);
+  }
+});
+
+test("shows the usage with --help", async () => {
+  const { code, stdout } = await run(["--help"]);
+
+  assert.equal(code, 0);
+  assert.match(stdout, /^Usage: wappalyzer/);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import normalizeCookies from "../src/utils/normalizeCookies.js";
+import { Wappalyzer } from "../index.js";
+
+test("reads Playwright and Puppeteer cookie arrays", () => {
+  assert.deepEqual(
+    normalizeCookies([
+      { name: "PHPSESSID", value: "abc", domain: "example.com", path: "/" },
+      { name: "_ga", value: "GA1.1" },
+      { name: "phpsessid", value: "def" },
+      { value: "nameless" },
+    ]),
+    { phpsessid: ["abc", "def"], _ga: ["GA1.1"] }
+  );
+});
+
+test("reads arrays of Set-Cookie strings", () => {
+  assert.deepEqual(
+    normalizeCookies([
+      "laravel_session=xyz; Path=/; HttpOnly",
+      "flag; Secure",
+      "token=a=b; Max-Age=60",
+    ]),
+    { laravel_session: ["xyz"], flag: [""], token: ["a=b"] }
+  );
+});
+
+test("reads objects keyed by name", () => {
+  assert.deepEqual(normalizeCookies({ Acme: "1", other: ["a", "b", "a"], empty: null }), {
+    acme: ["1"],
+    other: ["a", "b"],
+    empty: [""],
+  });
+});
+
+test("reads Cookie header strings", () => {
+  assert.deepEqual(normalizeCookies("a=1; B=2;c; =ignored"), {
+    a: ["1"],
+    b: ["2"],
+    c: [""],
+  });
+});
+
+test("adds the Set-Cookie values of response headers", () => {
+  const expires = "Expires=Wed, 21 Oct 2026 07:28:00 GMT";
+
+  assert.deepEqual(
+    normalizeCookies(undefined, {
+      "Set-Cookie": `first=1; ${expires}, second=2; Path=/`,
+    }),
+    { first: ["1"], second: ["2"] }
+  );
+
+  assert.deepEqual(
+    normalizeCookies([{ name: "first", value: "1" }], {
+      "set-cookie": ["first=1; Path=/", `third=3; ${expires}`],
+    }),
+    { first: ["1"], third: ["3"] }
+  );
+
+  const headers = new Headers();
+
+  headers.append("Set-Cookie", `first=1; ${expires}`);
+  headers.append("Set-Cookie", "second=2");
+
+  assert.deepEqual(normalizeCookies({}, headers), { first: ["1"], second: ["2"] });
+});
+
+test("has no cookies for missing or unknown input", () => {
+  assert.deepEqual(normalizeCookies(), {});
+  assert.deepEqual(normalizeCookies(null, null), {});
+  assert.deepEqual(normalizeCookies(42, { "content-type": "text/html" }), {});
+});
+
+test("scanHTML matches cookies whatever their form", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    AcmeSession: { cats: [19], website: "https://example.com", cookies: { acme_session: "" } },
+  });
+
+  const options = { helpers: false, assets: { maxFiles: 0 } };
+
+  for (const scan of [
+    { cookies: [{ name: "Acme_Session", value: "1" }] },
+    { cookies: ["acme_session=1; Path=/"] },
+    { cookies: { acme_session: "1" } },
+    { cookies: "other=0; acme_session=1" },
+    { headers: { "Set-Cookie": "acme_session=1; HttpOnly" } },
+  ]) {
+    const { technologies } = await wappalyzer.scanHTML("<html></html>", { ...options, ...scan });
+
+    assert.ok(
+      technologies.some(({ name }) => name === "AcmeSession"),
+      JSON.stringify(scan)
+    );
+  }
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { Wappalyzer } from "../index.js";
+
+const listen = (routes) =>
+  new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      const route = routes[req.url];
+
+      if (!route) {
+        res.writeHead(404).end();
+      } else {
+        route(req, res);
+      }
+    });
+
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const page = (body) => (req, res) =>
+  res.writeHead(200, { "Content-Type": "text/html" }).end(`<html><head></head><body>${body}</body></html>`);
+
+const origin = (server) => `http://127.0.0.1:${server.address().port}`;
+
+const xml = (body) => (req, res) =>
+  res.writeHead(200, { "Content-Type": "application/xml" }).end(body);
+
+let site;
+let other;
+// Paths requested from the other origin
+const requested = [];
+
+before(async () => {
+  other = await listen({
+    "/": page('<meta name="generator" content="Drupal 10"><a href="/more">More</a>'),
+    "/more": page('<meta name="generator" content="Drupal 10">'),
+    "/sitemap.xml": (req, res) => {
+      requested.push(req.url);
+      xml(`<urlset><url><loc>${origin(other)}/more</loc></url></urlset>`)(req, res);
+    },
+  });
+
+  site = await listen({
+    "/": page('<a href="/about">About</a><a href="/away">Away</a>'),
+    "/about": page("About"),
+    "/away": (req, res) => res.writeHead(302, { Location: `${origin(other)}/` }).end(),
+    "/sitemap.xml": (req, res) =>
+      xml(
+        `<sitemapindex>
+          <sitemap><loc>${origin(other)}/sitemap.xml</loc></sitemap>
+          <sitemap><loc>${origin(site)}/pages.xml</loc></sitemap>
+        </sitemapindex>`
+      )(req, res),
+    "/pages.xml": (req, res) =>
+      xml(
+        `<urlset>
+          <url><loc>${origin(other)}/more</loc></url>
+          <url><loc>${origin(site)}/about</loc></url>
+        </urlset>`
+      )(req, res),
+  });
+});
+
+after(() => {
+  site.close();
+  other.close();
+});
+
+test("does not follow redirects to another origin", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  const { technologies, pages } = await wappalyzer.crawl(`${origin(site)}/`, {
+    helpers: false,
+    assets: { maxFiles: 0 },
+  });
+
+  assert.deepEqual(
+    pages.map(({ url }) => url),
+    [`${origin(site)}/`, `${origin(site)}/about`, `${origin(site)}/away`]
+  );
+  assert.match(pages[2].error, /outside/);
+  assert.ok(!technologies.some(({ name }) => name === "Drupal"));
+});
+
+test("only follows sitemaps and pages of the crawled origin", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  requested.length = 0;
+
+  const { pages } = await wappalyzer.crawl(`${origin(site)}/`, {
+    sitemap: true,
+    depth: 0,
+    maxPages: 2,
+    helpers: false,
+    assets: { maxFiles: 0 },
+  });
+
+  assert.deepEqual(
+    pages.map(({ url }) => url),
+    [`${origin(site)}/`, `${origin(site)}/about`]
+  );
+  assert.deepEqual(requested, []);
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+const options = { helpers: false, assets: { maxFiles: 0 } };
+
+const find = (technologies, name) => technologies.find(({ name: _name }) => _name === name);
+
+const technologies = {
+  Acme: definition({
+    headers: { "x-powered-by": "^Acme/([\\d.]+)\\;version:\\1\\;confidence:50" },
+    cookies: { acme_session: "" },
+    meta: { generator: "^Acme CMS" },
+    html: "acme-widget\\;confidence:25",
+    dom: { "a.acme": { attributes: { href: "acme-([\\d.]+)\\.js\\;version:\\1" } } },
+    implies: "AcmeRuntime",
+  }),
+  AcmeRuntime: definition({ implies: "AcmeKernel\\;confidence:40" }),
+  AcmeKernel: definition({}),
+};
+
+const scan = async (html, opts) => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies(technologies);
+
+  return (await wappalyzer.scanHTML(html, { ...options, ...opts })).technologies;
+};
+
+const html = `<html><head><meta name="generator" content="Acme CMS 3"></head><body>
+  <div class="acme-widget">${"x".repeat(600)}</div>
+  <a class="acme" href="/acme-2.1.js">Acme</a>
+</body></html>`;
+
+test("reports the patterns behind a detection", async () => {
+  const detected = await scan(html, {
+    evidence: true,
+    headers: { "X-Powered-By": "Acme/2.1" },
+    cookies: { acme_session: "1" },
+  });
+  const { confidence, version, evidence } = find(detected, "Acme");
+
+  assert.equal(confidence, 100);
+  assert.equal(version, "2.1");
+
+  const byType = Object.fromEntries(evidence.map((entry) => [entry.type, entry]));
+
+  assert.deepEqual(Object.keys(byType).sort(), [
+    "cookies",
+    "dom.attributes.href",
+    "headers",
+    "html",
+    "meta",
+  ]);
+  assert.ok(evidence.every(({ source }) => source === "direct"));
+
+  assert.deepEqual(byType.headers, {
+    type: "headers",
+    key: "x-powered-by",
+    pattern: "^Acme\\/([\\d.]{1,250})",
+    match: "Acme/2.1",
+    value: "Acme/2.1",
+    confidence: 50,
+    version: "2.1",
+    source: "direct",
+  });
+  assert.equal(byType.cookies.key, "acme_session");
+  assert.equal(byType.meta.key, "generator");
+  assert.equal(byType.meta.match, "Acme CMS");
+  assert.equal(byType["dom.attributes.href"].key, "a.acme");
+  assert.equal(byType["dom.attributes.href"].version, "2.1");
+
+  // Inputs too long to repeat are left out, the matched snippet is kept
+  assert.equal(byType.html.match, "acme-widget");
+  assert.equal(byType.html.confidence, 25);
+  assert.ok(!("value" in byType.html));
+});
+
+test("reports which technology implied another", async () => {
+  const detected = await scan(html, { evidence: true });
+
+  assert.deepEqual(find(detected, "AcmeRuntime").evidence, [
+    { type: "implies", source: "implies", impliedBy: "Acme", confidence: 100, version: "" },
+  ]);
+  assert.deepEqual(find(detected, "AcmeKernel").evidence, [
+    { type: "implies", source: "implies", impliedBy: "AcmeRuntime", confidence: 40, version: "" },
+  ]);
+});
+
+test("leaves evidence out unless asked for", async () => {
+  const detected = await scan(html);
+
+  assert.ok(detected.length);
+  assert.ok(detected.every((technology) => !("evidence" in technology)));
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+test("reports matched and unmatched patterns", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    Acme: definition({
+      headers: { "x-powered-by": "^Acme/([\\d.]+)\\;version:\\1" },
+      html: "acme-widget",
+      meta: { generator: "Acme" },
+    }),
+  });
+
+  const { detected, version, patterns } = await wappalyzer.explain("Acme", {
+    html: "<p>Hello</p>",
+    headers: { "X-Powered-By": "Acme/2.1" },
+  });
+
+  assert.ok(detected);
+  assert.equal(version, "2.1");
+  assert.deepEqual(
+    patterns.map(({ type, matched, missing, input }) => ({ type, matched, missing, input })),
+    [
+      { type: "html", matched: false, missing: false, input: "<p>Hello</p>" },
+      { type: "headers", matched: true, missing: false, input: "Acme/2.1" },
+      { type: "meta", matched: false, missing: true, input: null },
+    ]
+  );
+});
+
+test("stops slow patterns in a worker and skips blocked ones", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({ Slow: definition({ html: "(a+)+$" }) });
+
+  const payload = { html: `${"a".repeat(28)}!` };
+  const regex = { worker: true, timeout: 200, blocklist: true };
+
+  let start = Date.now();
+  const { detected, timeouts } = await wappalyzer.explain("Slow", payload, { regex });
+
+  assert.ok(Date.now() - start < 5000);
+  assert.ok(!detected);
+  assert.deepEqual(
+    timeouts.map(({ type }) => type),
+    ["html"]
+  );
+
+  start = Date.now();
+  const { patterns } = await wappalyzer.explain("Slow", payload);
+
+  assert.ok(Date.now() - start < 5000);
+  assert.equal(patterns[0].blocked, true);
+  assert.equal(patterns[0].matched, false);
+});
+
+test("runs patterns of technologies that weren't analyzed", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    Base: definition({ html: "base-marker" }),
+    Plugin: definition({ html: "plugin-marker", requires: "Base" }),
+  });
+
+  const { detected, patterns } = await wappalyzer.explain("Plugin", {
+    html: "<div>plugin-marker</div>",
+  });
+
+  assert.ok(!detected);
+  assert.equal(patterns[0].matched, true);
+});
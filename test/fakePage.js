@@ -0,0 +1,67 @@
+import { EventEmitter } from "node:events";
+
+/**
+ * A frame serving `html`, whose `evaluate` returns `js` (the values of the
+ * JavaScript chains asked for), or `headers` when the page re-requests itself.
+ * Calls to `evaluate` are kept in `evaluated`.
+ */
+export const createFrame = (url, html, { js = {}, headers = {}, detached = false } = {}) => {
+  const evaluated = [];
+
+  return {
+    url: () => url,
+    content: async () => {
+      if (html instanceof Error) throw html;
+
+      return html;
+    },
+    evaluate: async (fn) => {
+      evaluated.push(fn);
+
+      return String(fn).includes("location.href") ? headers : js;
+    },
+    isDetached: () => detached,
+    evaluated,
+  };
+};
+
+/**
+ * A Puppeteer-like page around `main`, emitting the `request` and `response`
+ * events of `load`.
+ */
+export const createPage = (main, { frames = [], cookies = [] } = {}) =>
+  Object.assign(new EventEmitter(), {
+    url: main.url,
+    content: main.content,
+    evaluate: main.evaluate,
+    mainFrame: () => main,
+    frames: () => [main, ...frames],
+    cookies: async () => cookies,
+  });
+
+export const createRequest = (url, type, frame, { navigation = false, redirects = [] } = {}) => ({
+  url: () => url,
+  resourceType: () => type,
+  isNavigationRequest: () => navigation,
+  frame: () => frame,
+  redirectChain: () => redirects,
+});
+
+export const createResponse = (request, { status = 200, headers = {}, body = "" } = {}) => ({
+  request: () => request,
+  url: () => request.url(),
+  status: () => status,
+  headers: () => headers,
+  text: async () => body,
+});
+
+/**
+ * Emit a request and its response for each `{ url, type, frame, ... }`.
+ */
+export const load = (page, requests) =>
+  requests.forEach(({ url, type, frame = page.mainFrame(), navigation, redirects, ...response }) => {
+    const request = createRequest(url, type, frame, { navigation, redirects });
+
+    page.emit("request", request);
+    page.emit("response", createResponse(request, response));
+  });
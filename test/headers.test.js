@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+
+const html = "<html><body></body></html>";
+const options = { helpers: false, assets: { maxFiles: 0 } };
+
+const version = (technologies, name) =>
+  technologies.find(({ name: _name }) => _name === name)?.version;
+
+test("scanHTML matches headers whatever the case of their names", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  for (const headers of [
+    { "X-Powered-By": "PHP/8.2" },
+    { "x-powered-by": ["PHP/8.2"] },
+    new Headers({ "X-Powered-By": "PHP/8.2" }),
+  ]) {
+    const { technologies } = await wappalyzer.scanHTML(html, { ...options, headers });
+
+    assert.equal(version(technologies, "PHP"), "8.2");
+  }
+});
+
+test("explain and scanHTML agree on headers", async () => {
+  const wappalyzer = new Wappalyzer();
+  const headers = { "X-Powered-By": "PHP/8" };
+
+  const { technologies } = await wappalyzer.scanHTML(html, { ...options, headers });
+  const { detected } = await wappalyzer.explain("PHP", { html, headers });
+
+  assert.ok(detected);
+  assert.ok(technologies.some(({ name }) => name === "PHP"));
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+import { extractTechnologiesFromHTML } from "../src/scrape.js";
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+const options = { helpers: false, assets: { maxFiles: 0 } };
+
+const html = `<html><head>
+  <style>.acme-theme { color: red }</style>
+  <style>   </style>
+  <script src="/acme-loader.js">ignored()</script>
+  <script>window.AcmeTag = { id: "AT-1", version: "4.2" };</script>
+  <script type="application/json" id="__ACME_DATA__">{"build":"b1"}</script>
+</head><body></body></html>`;
+
+const scan = async (opts) => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    AcmeTag: definition({
+      scripts: 'AcmeTag = \\{ id: "AT-\\d+", version: "([\\d.]+)"\\;version:\\1',
+    }),
+    AcmeTheme: definition({ css: "\\.acme-theme" }),
+    AcmeData: definition({ scripts: '"build":"b\\d+"' }),
+  });
+
+  const { technologies } = await wappalyzer.scanHTML(html, { ...options, ...opts });
+
+  return Object.fromEntries(
+    technologies.map(({ name, version, evidence }) => [
+      name,
+      { version, types: evidence?.map(({ type }) => type) },
+    ])
+  );
+};
+
+test("reads inline script and style contents", async () => {
+  const { scripts, css, inline } = await extractTechnologiesFromHTML(
+    html,
+    { url: "https://example.com/" },
+    options
+  );
+
+  assert.ok(scripts.includes("window.AcmeTag"));
+  assert.ok(scripts.includes('"build":"b1"'));
+  assert.ok(!scripts.includes("ignored()"));
+  assert.equal(css, ".acme-theme { color: red }");
+  assert.equal(inline, undefined);
+});
+
+test("matches inline contents with scripts and css fingerprints", async () => {
+  assert.deepEqual(await scan({ evidence: true }), {
+    AcmeTag: { version: "4.2", types: ["scripts"] },
+    AcmeTheme: { version: "", types: ["css"] },
+    AcmeData: { version: "", types: ["scripts"] },
+  });
+});
+
+test("ignores inline contents with inline: false", async () => {
+  const { scripts, css } = await extractTechnologiesFromHTML(
+    html,
+    { url: "https://example.com/" },
+    { ...options, inline: false }
+  );
+
+  assert.equal(scripts, "");
+  assert.equal(css, "");
+  assert.deepEqual(await scan({ inline: false }), {});
+});
+
+test("tells inline contents apart with inline: 'separate'", async () => {
+  const { scripts, css, inline } = await extractTechnologiesFromHTML(
+    html,
+    { url: "https://example.com/" },
+    { ...options, inline: "separate" }
+  );
+
+  assert.equal(scripts, "");
+  assert.equal(css, "");
+  assert.ok(inline.scripts.includes("window.AcmeTag"));
+  assert.equal(inline.css, ".acme-theme { color: red }");
+
+  const expected = {
+    AcmeTag: { version: "4.2", types: ["scripts.inline"] },
+    AcmeTheme: { version: "", types: ["css.inline"] },
+    AcmeData: { version: "", types: ["scripts.inline"] },
+  };
+
+  assert.deepEqual(await scan({ inline: "separate", evidence: true }), expected);
+  assert.deepEqual(
+    await scan({ inline: "separate", evidence: true, regex: { worker: true } }),
+    expected
+  );
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+const options = { helpers: false, assets: { maxFiles: 0 } };
+const html = '<html><body><div class="acme-widget"></div></body></html>';
+const headers = { "X-Powered-By": "PHP/8.2" };
+
+const scan = async (wappalyzer) => {
+  const { technologies } = await wappalyzer.scanHTML(html, { ...options, headers });
+
+  return technologies.map(({ name }) => name).sort();
+};
+
+test("an instance with its own technologies doesn't detect built-in ones", async () => {
+  const custom = new Wappalyzer({
+    technologies: { Acme: definition({ html: "acme-widget" }) },
+  });
+  const builtIn = new Wappalyzer();
+
+  assert.deepEqual(await scan(custom), ["Acme"]);
+
+  const detected = await scan(builtIn);
+
+  assert.ok(detected.includes("PHP"));
+  assert.ok(!detected.includes("Acme"));
+  assert.equal(await custom.getTechnology("PHP"), null);
+});
+
+test("added and disabled technologies stay in their instance", async () => {
+  const first = new Wappalyzer();
+  const second = new Wappalyzer();
+
+  await first.addTechnologies({ Acme: definition({ html: "acme-widget" }) });
+  await second.disableTechnologies("PHP");
+
+  const [firstDetected, secondDetected] = await Promise.all([scan(first), scan(second)]);
+
+  assert.ok(firstDetected.includes("Acme"));
+  assert.ok(firstDetected.includes("PHP"));
+  assert.ok(!secondDetected.includes("Acme"));
+  assert.ok(!secondDetected.includes("PHP"));
+  assert.deepEqual(await scan(new Wappalyzer()), await scan(new Wappalyzer()));
+});
+
+test("added categories stay in their instance", async () => {
+  const first = new Wappalyzer();
+  const second = new Wappalyzer();
+
+  await first.addCategories({ 9001: { name: "Acme tools", priority: 1 } });
+
+  await first.addTechnologies({ Acme: definition({ cats: [9001], html: "acme-widget" }) });
+  await assert.rejects(
+    second.addTechnologies({ Acme: definition({ cats: [9001], html: "acme-widget" }) }),
+    /Invalid technologies/
+  );
+
+  assert.ok((await first.getCategories()).some(({ id }) => id === 9001));
+  assert.ok(!(await second.getCategories()).some(({ id }) => id === 9001));
+});
+
+test("instances with different categories categorize the same technology apart", async () => {
+  const technologies = { Acme: definition({ cats: [1], html: "acme-widget" }) };
+
+  const [first, second] = [
+    new Wappalyzer({ technologies, categories: { 1: { name: "Widgets", priority: 1 } } }),
+    new Wappalyzer({ technologies, categories: { 1: { name: "Gadgets", priority: 1 } } }),
+  ];
+
+  const results = await Promise.all(
+    [first, second].map((wappalyzer) => wappalyzer.scanHTML(html, options))
+  );
+
+  assert.deepEqual(
+    results.map(({ technologies }) => technologies[0].categories.map(({ name }) => name)),
+    [["Widgets"], ["Gadgets"]]
+  );
+});
+
+test("rejects invalid technologies given to the constructor on first use", async () => {
+  const wappalyzer = new Wappalyzer({
+    technologies: { Broken: definition({ cats: [424242], html: "broken" }) },
+  });
+
+  await assert.rejects(wappalyzer.scanHTML(html, options), /Invalid technologies/);
+});
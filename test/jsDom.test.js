@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { createWappalyzer } from "../src/wappalyzer.js";
+import { Wappalyzer } from "../index.js";
+import categories from "../src/categories.json" with { type: "json" };
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+const technologies = {
+  AcmeJs: definition({
+    js: { "Acme.version": "^([\\d.]+)$\\;version:\\1", "Acme.loaded": "" },
+  }),
+  AcmeFlag: definition({ js: { acmeFlag: "" } }),
+  AcmeApp: definition({ dom: ["#acme-app"] }),
+  AcmeDom: definition({
+    dom: {
+      "meta[name='acme']": { attributes: { content: "^v([\\d.]+)$\\;version:\\1" } },
+      ".acme-footer": { text: "Powered by Acme" },
+      "a.acme-link": { properties: { href: "acme\\.test" } },
+    },
+  }),
+};
+
+const createCore = () => {
+  const core = createWappalyzer();
+
+  core.setCategories(categories);
+  core.setTechnologies(technologies);
+
+  return core;
+};
+
+const summarize = (detections) =>
+  detections.map(({ technology, pattern, version }) => [technology.name, pattern.type, version]);
+
+test("lists the JavaScript chains of fingerprints", () => {
+  assert.deepEqual(createCore().getJsChains().sort(), ["Acme.loaded", "Acme.version", "acmeFlag"]);
+});
+
+test("reads chains from resolved values or nested objects", () => {
+  const core = createCore();
+
+  // As resolved in the page by `evaluateJsChains`
+  assert.deepEqual(core.getJs({ "Acme.version": "2.1", acmeFlag: false }), [
+    { name: "AcmeJs", chain: "Acme.version", value: "2.1" },
+    { name: "AcmeFlag", chain: "acmeFlag", value: false },
+  ]);
+
+  // As a serialized `window`
+  assert.deepEqual(core.getJs({ Acme: { version: 3, loaded: { at: 1 } }, acmeFlag: null }), [
+    { name: "AcmeJs", chain: "Acme.version", value: 3 },
+    { name: "AcmeJs", chain: "Acme.loaded", value: true },
+  ]);
+});
+
+test("matches JavaScript values against fingerprints", () => {
+  const core = createCore();
+
+  assert.deepEqual(
+    summarize(
+      core.analyzeJs("https://example.com/", core.getJs({ "Acme.version": "2.1", acmeFlag: true }))
+    ),
+    [
+      ["AcmeJs", "js", "2.1"],
+      ["AcmeFlag", "js", ""],
+    ]
+  );
+  assert.deepEqual(core.analyzeJs("https://example.com/", core.getJs({ "Acme.version": "beta" })), []);
+});
+
+test("matches DOM selectors, text, attributes and properties", async () => {
+  const core = createCore();
+  const $ = cheerio.load(`
+    <meta name="acme" content="v4.2">
+    <div id="acme-app"></div>
+    <footer class="acme-footer"> Powered by Acme </footer>
+    <a class="acme-link" href="https://acme.test/">Acme</a>
+  `);
+
+  assert.deepEqual(summarize(await core.analyzeDom("https://example.com/", $)).sort(), [
+    ["AcmeApp", "dom", ""],
+    ["AcmeDom", "dom", ""],
+    ["AcmeDom", "dom", ""],
+    ["AcmeDom", "dom", "4.2"],
+  ]);
+  assert.deepEqual(await core.analyzeDom("https://example.com/", cheerio.load("<p>Hi</p>")), []);
+});
+
+test("detects js and dom fingerprints in scans", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies(technologies);
+
+  const { technologies: detected } = await wappalyzer.scanHTML(
+    '<html><body><div id="acme-app"></div><meta name="acme" content="v4.2"></body></html>',
+    { helpers: false }
+  );
+
+  assert.deepEqual(
+    detected
+      .filter(({ name }) => name.startsWith("Acme"))
+      .map(({ name, version }) => [name, version])
+      .sort(),
+    [
+      ["AcmeApp", ""],
+      ["AcmeDom", "4.2"],
+    ]
+  );
+});
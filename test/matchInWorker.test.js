@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import matchInWorker from "../src/matchInWorker.js";
+
+const values = { html: `<p>${"a".repeat(30)}!</p><meta name="generator" content="Acme 1.2">` };
+
+test("matches jobs by index", async () => {
+  const { matches, timeouts } = await matchInWorker(values, [
+    { type: "html", source: "Acme ([\\d.]+)", flags: "i" },
+    { type: "html", source: "missing", flags: "" },
+  ]);
+
+  assert.deepEqual(matches, [["Acme 1.2", "1.2"], null]);
+  assert.deepEqual(timeouts, []);
+});
+
+test("stops a slow regex and runs the remaining ones", async () => {
+  const { matches, timeouts } = await matchInWorker(
+    values,
+    [
+      { type: "html", source: "<p>", flags: "" },
+      { type: "html", source: "(a+)+$", flags: "" },
+      { type: "html", source: "Acme", flags: "" },
+    ],
+    200
+  );
+
+  assert.deepEqual(matches, [["<p>"], null, ["Acme"]]);
+  assert.deepEqual(
+    timeouts.map(({ index }) => index),
+    [1]
+  );
+  assert.ok(timeouts[0].duration > 200);
+});
+
+test("runs calls made at the same time and after a timeout", async () => {
+  const results = await Promise.all(
+    ["<p>", "Acme", "generator"].map((source) =>
+      matchInWorker(values, [{ type: "html", source, flags: "" }])
+    )
+  );
+
+  assert.deepEqual(
+    results.map(({ matches }) => matches),
+    [[["<p>"]], [["Acme"]], [["generator"]]]
+  );
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { Worker } from "node:worker_threads";
+import { WappalyzerPool } from "../index.js";
+
+const html = '<html><body><div class="acme-widget"></div></body></html>';
+
+const technologies = {
+  Acme: { cats: [19], website: "https://example.com", html: "acme-widget" },
+  AcmeServer: { cats: [22], website: "https://example.com", headers: { server: "^Acme" } },
+};
+
+let server;
+let siteUrl;
+
+before(async () => {
+  server = http.createServer((req, res) =>
+    res.writeHead(200, { "Content-Type": "text/html", Server: "Acme" }).end(html)
+  );
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  siteUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const names = ({ technologies }) => technologies.map(({ name }) => name).sort();
+
+const har = () => ({
+  log: {
+    entries: [
+      {
+        request: { method: "GET", url: `${siteUrl}/` },
+        response: {
+          status: 200,
+          headers: [{ name: "Server", value: "Acme" }],
+          content: { mimeType: "text/html", text: html },
+        },
+      },
+    ],
+  },
+});
+
+test("runs scans side by side, queueing the rest", async () => {
+  const pool = new WappalyzerPool({ concurrency: 2, technologies });
+
+  const scans = [
+    pool.scanHTML(html, { helpers: false }),
+    pool.scanURL(siteUrl, { helpers: false }),
+    pool.scanHAR(har()),
+    pool.scanHTML(html, { helpers: false, headers: { server: "Acme" } }),
+  ];
+
+  assert.deepEqual(pool.stats, { workers: 2, active: 2, queued: 2 });
+
+  const results = await Promise.all(scans);
+
+  assert.deepEqual(results.map(names), [
+    ["Acme"],
+    ["Acme", "AcmeServer"],
+    ["Acme", "AcmeServer"],
+    ["Acme", "AcmeServer"],
+  ]);
+  assert.deepEqual(pool.stats, { workers: 2, active: 0, queued: 0 });
+
+  await pool.close();
+});
+
+test("rejects invalid arguments", async () => {
+  const pool = new WappalyzerPool({ concurrency: 1, technologies });
+
+  await assert.rejects(pool.scanHTML(""), /html must be a non-empty string/);
+
+  await pool.close();
+});
+
+test("finishes scans in progress when closed, then rejects new ones", async () => {
+  const pool = new WappalyzerPool({ concurrency: 1, technologies });
+
+  const scans = [pool.scanHTML(html, { helpers: false }), pool.scanHTML(html, { helpers: false })];
+  const closed = pool.close();
+
+  await assert.rejects(pool.scanHTML(html), /The pool is closed/);
+  assert.deepEqual((await Promise.all(scans)).map(names), [["Acme"], ["Acme"]]);
+
+  await closed;
+
+  assert.deepEqual(pool.stats, { workers: 0, active: 0, queued: 0 });
+  await assert.rejects(pool.scanURL(siteUrl), /The pool is closed/);
+});
+
+test("replaces a worker that crashed", async (t) => {
+  const { postMessage } = Worker.prototype;
+
+  // Stop the worker given the scan of this HTML
+  t.mock.method(Worker.prototype, "postMessage", function (message) {
+    postMessage.call(this, message);
+
+    if (message.args?.[0] === "<p>crash</p>") this.terminate();
+  });
+
+  const pool = new WappalyzerPool({ concurrency: 1, technologies });
+
+  const crashed = pool.scanHTML("<p>crash</p>", { helpers: false });
+  const next = pool.scanHTML(html, { helpers: false });
+
+  await assert.rejects(crashed, /Worker exited/);
+  assert.deepEqual(names(await next), ["Acme"]);
+  assert.deepEqual(pool.stats, { workers: 1, active: 0, queued: 0 });
+
+  await pool.close();
+});
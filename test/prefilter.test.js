@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import createLiteralMatcher from "../src/utils/createLiteralMatcher.js";
+import { createWappalyzer } from "../src/wappalyzer.js";
+import { extractTechnologiesFromHTML } from "../src/scrape.js";
+import { load_technologies } from "../src/technologies/__loader.js";
+import categories from "../src/categories.json" with { type: "json" };
+
+test("finds every literal in a text, overlapping ones included", () => {
+  const matcher = createLiteralMatcher(["he", "she", "hers", "his", "she", ""]);
+
+  assert.equal(matcher.size, 4);
+  assert.deepEqual([...matcher.match("ushers")].sort(), ["he", "hers", "she"]);
+  assert.deepEqual([...matcher.match("this")], ["his"]);
+  assert.deepEqual([...matcher.match("nothing")], []);
+});
+
+test("doesn't match literals across non-ASCII characters", () => {
+  const matcher = createLiteralMatcher(["acme"]);
+
+  assert.deepEqual([...matcher.match("acé acme")], ["acme"]);
+  assert.deepEqual([...matcher.match("acmé")], []);
+});
+
+// Required literals are computed when patterns are parsed
+const literal = (pattern) => createWappalyzer().parsePattern(pattern).literal;
+
+test("takes the longest literal every match contains", () => {
+  assert.equal(literal("jquery[.-]([\\d.]+)\\.min\\.js"), ".min.js");
+  assert.equal(literal("ver\\d+sion"), "sion");
+  assert.equal(literal("\\.acme-[a-z]+"), ".acme-");
+});
+
+test("has no literal for top-level alternations", () => {
+  assert.equal(literal("foo|barbaz"), null);
+  assert.equal(literal("acme-(?:widget|cms)"), "acme-");
+});
+
+test("leaves out optional characters and groups", () => {
+  assert.equal(literal("colou?rscheme"), "rscheme");
+  assert.equal(literal("acme*corp"), "corp");
+  assert.equal(literal("(?:www\\.)?example\\.com"), "example.com");
+});
+
+test("reads escaped characters literally and lowercases", () => {
+  assert.equal(literal("wp-content/themes"), "wp-content/themes");
+  assert.equal(literal("AcmeCMS\\(\\)"), "acmecms()");
+});
+
+test("has no literal shorter than three ASCII characters", () => {
+  assert.equal(literal("ab"), null);
+  assert.equal(literal("café-menu"), "-menu");
+});
+
+// `analyze` with every pattern run, as if no pattern had a literal
+const analyzeUnfiltered = (core, items) => {
+  const { literals } = core.index;
+
+  core.index.literals = new Map();
+
+  try {
+    return core.analyze(items);
+  } finally {
+    core.index.literals = literals;
+  }
+};
+
+const describe = (detections) =>
+  detections
+    .map(({ technology, pattern, version }) =>
+      JSON.stringify([technology.name, pattern.type, pattern.regex.source, version])
+    )
+    .sort();
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+test("detects the same with and without the prefilter", () => {
+  const core = createWappalyzer();
+
+  core.setCategories(categories);
+  core.setTechnologies({
+    Alternation: definition({ html: "acme-(?:widget|cms)" }),
+    Optional: definition({ scripts: "(?:www\\.)?acme\\.example/v(\\d+)\\;version:\\1" }),
+    Cased: definition({ text: "AcmeCMS" }),
+    Escaped: definition({ css: "\\.acme-theme\\{" }),
+  });
+
+  const items = {
+    html: "<div class=ACME-CMS>",
+    scripts: "load('acme.example/v3')",
+    text: "Powered by ACMECMS",
+    css: ".acme-theme{color:red}",
+  };
+
+  const detections = core.analyze(items);
+
+  assert.deepEqual(describe(detections), describe(analyzeUnfiltered(core, items)));
+  assert.deepEqual(
+    detections.map(({ technology, version }) => [technology.name, version]),
+    [
+      ["Alternation", ""],
+      ["Optional", "3"],
+      ["Cased", ""],
+      ["Escaped", ""],
+    ]
+  );
+});
+
+test("detects the same with and without the prefilter on real fingerprints", async () => {
+  const core = createWappalyzer();
+
+  core.setTechnologies(await load_technologies());
+  core.setCategories(categories);
+
+  const html = `<!doctype html><html><head>
+    <meta name="generator" content="WordPress 6.4.2">
+    <link rel="stylesheet" href="/wp-content/themes/twentytwenty/style.css">
+    <script src="/wp-includes/js/jquery/jquery.min.js?ver=3.7.1"></script>
+    <script src="https://www.googletagmanager.com/gtag/js?id=G-XXXX"></script>
+    <script>window.dataLayer = window.dataLayer || []; gtag('config', 'G-XXXX');</script>
+    <style>.bootstrap-icon{} .navbar-expand-lg{}</style>
+  </head><body><div id="__next" data-reactroot=""><p>Powered by Shopify</p></div></body></html>`;
+
+  const items = await extractTechnologiesFromHTML(
+    html,
+    { url: "https://www.example.com/" },
+    { helpers: false, assets: { maxFiles: 0 } }
+  );
+
+  items.scripts += '\n/*! jQuery v3.7.1 | (c) OpenJS Foundation */ React.version="18.2.0";';
+  items.css += "\n/*! Bootstrap v5.3.2 (https://getbootstrap.com/) */";
+
+  const detections = core.analyze(items);
+
+  assert.ok(detections.length > 5);
+  assert.deepEqual(describe(detections), describe(analyzeUnfiltered(core, items)));
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+
+const slow = `<p>${"a".repeat(28)}!</p>`;
+const fast = "<p>aab</p>";
+const options = { helpers: false, assets: { maxFiles: 0 } };
+
+const create = async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    Slow: { cats: [19], website: "https://example.com", html: "(a+)+b" },
+  });
+
+  return wappalyzer;
+};
+
+const detects = async (wappalyzer, html, regex) =>
+  (await wappalyzer.scanHTML(html, { ...options, regex })).technologies.some(
+    ({ name }) => name === "Slow"
+  );
+
+test("reports patterns over the budget without blocking them by default", async () => {
+  const wappalyzer = await create();
+  const { performance } = await wappalyzer.scanHTML(slow, {
+    ...options,
+    regex: { worker: true, timeout: 200 },
+  });
+
+  assert.deepEqual(
+    performance.errors.map(({ technology, type }) => ({ technology, type })),
+    [{ technology: "Slow", type: "html" }]
+  );
+  assert.deepEqual(wappalyzer.getBlockedPatterns(), []);
+  assert.ok(await detects(wappalyzer, fast));
+});
+
+test("blocklists patterns for the instance only", async () => {
+  const first = await create();
+  const second = await create();
+
+  await first.scanHTML(slow, { ...options, regex: { worker: true, timeout: 200, blocklist: true } });
+
+  assert.equal(first.getBlockedPatterns().length, 1);
+  assert.ok(!(await detects(first, fast)));
+
+  assert.deepEqual(second.getBlockedPatterns(), []);
+  assert.ok(await detects(second, fast));
+});
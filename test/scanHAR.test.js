@@ -0,0 +1,60 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { Wappalyzer } from "../index.js";
+
+let server;
+let siteUrl;
+const received = [];
+
+before(
+  () =>
+    new Promise((resolve) => {
+      server = http.createServer((req, res) => {
+        received.push(req.url);
+        res.writeHead(200, { "Content-Type": "text/css" }).end("/* Theme Name: Acme */");
+      });
+      server.listen(0, "127.0.0.1", () => {
+        siteUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+);
+
+after(() => server.close());
+
+const html = () =>
+  `<html><head><link rel="stylesheet" href="${siteUrl}/wp-content/themes/acme/style.css"></head><body></body></html>`;
+
+const har = () => ({
+  log: {
+    entries: [
+      {
+        request: { method: "GET", url: `${siteUrl}/` },
+        response: {
+          status: 200,
+          headers: [{ name: "Content-Type", value: "text/html" }],
+          content: { mimeType: "text/html", text: html() },
+        },
+      },
+    ],
+  },
+});
+
+test("scanHAR doesn't fetch anything by default", async () => {
+  received.length = 0;
+
+  const result = await new Wappalyzer().scanHAR(har());
+
+  assert.ok(!result.error);
+  assert.ok(result.technologies.some(({ name }) => name === "WordPress"));
+  assert.deepEqual(received, []);
+});
+
+test("scanHAR runs helpers when asked to", async () => {
+  received.length = 0;
+
+  await new Wappalyzer().scanHAR(har(), { helpers: true });
+
+  assert.ok(received.length);
+});
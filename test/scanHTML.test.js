@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+
+const wappalyzer = new Wappalyzer();
+const options = { helpers: false, assets: { maxFiles: 0 } };
+
+const names = ({ technologies }) => technologies.map(({ name }) => name);
+
+test("detects HTML patterns past the first 1000 characters of a single-line page", async () => {
+  const avatar = '<img src="https://www.gravatar.com/avatar/0?s=64">';
+  const html = `<html><body><p>${"x".repeat(1600)}</p>${avatar}</body></html>`;
+
+  assert.ok(names(await wappalyzer.scanHTML(html, options)).includes("Gravatar"));
+});
+
+test("keeps the start and end of very large single-line pages", async () => {
+  const avatar = '<img src="https://www.gravatar.com/avatar/0?s=64">';
+  const padding = `<p>${"x".repeat(8 * 1024 * 1024)}</p>`;
+
+  assert.ok(
+    names(await wappalyzer.scanHTML(`<html><body>${padding}${avatar}</body></html>`, options))
+      .includes("Gravatar")
+  );
+  assert.ok(
+    names(await wappalyzer.scanHTML(`<html><body>${avatar}${padding}</body></html>`, options))
+      .includes("Gravatar")
+  );
+});
@@ -0,0 +1,132 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import http from "node:http";
+import { Wappalyzer } from "../index.js";
+
+const html = '<html><head><script src="/app.js"></script></head><body></body></html>';
+
+let server;
+let siteUrl;
+let flaky = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    switch (req.url) {
+      case "/app.js":
+        return res.writeHead(200, { "Content-Type": "text/javascript" }).end("");
+      case "/flaky":
+        // Fails the first time
+        if (flaky++ === 0) return req.socket.destroy();
+        break;
+      case "/down":
+        return req.socket.destroy();
+    }
+
+    res.writeHead(200, { "Content-Type": "text/html" }).end(html);
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  siteUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const collect = async (iterable) => {
+  const items = [];
+
+  for await (const item of iterable) items.push(item);
+
+  return items;
+};
+
+test("spaces out every fetch from a host by delay", async () => {
+  const wappalyzer = new Wappalyzer();
+  const delay = 100;
+  // When each request was sent
+  const sent = [];
+
+  const items = await collect(
+    wappalyzer.scanMany([`${siteUrl}/a`, `${siteUrl}/b`, `${siteUrl}/c`], {
+      concurrency: 3,
+      delay,
+      helpers: false,
+      beforeFetch: (url) => sent.push({ path: new URL(url).pathname, time: Date.now() }),
+    })
+  );
+
+  assert.equal(items.length, 3);
+  assert.ok(items.every(({ result }) => !result.error));
+
+  // Documents and scripts, all from the same host
+  assert.equal(sent.length, 6);
+  assert.equal(sent.filter(({ path }) => path === "/app.js").length, 3);
+
+  // The clock may tick between taking a slot and recording it here
+  sent.slice(1).forEach(({ time }, index) => assert.ok(time - sent[index].time >= delay - 1));
+});
+
+test("retries failed scans", async () => {
+  const wappalyzer = new Wappalyzer();
+  const sent = [];
+
+  flaky = 0;
+
+  const [retried] = await collect(
+    wappalyzer.scanMany([`${siteUrl}/flaky`], {
+      retries: 1,
+      retryDelay: 10,
+      delay: 100,
+      helpers: false,
+      assets: { maxFiles: 0 },
+      beforeFetch: () => sent.push(Date.now()),
+    })
+  );
+
+  assert.equal(retried.attempts, 2);
+  assert.ok(!retried.result.error);
+
+  // The retry waited for the host too
+  assert.equal(sent.length, 2);
+  assert.ok(sent[1] - sent[0] >= 99);
+
+  const [failed] = await collect(
+    wappalyzer.scanMany([`${siteUrl}/down`], { retries: 2, retryDelay: 10, helpers: false })
+  );
+
+  assert.equal(failed.attempts, 3);
+  assert.equal(failed.result.error, "Failed to scan URL technologies");
+});
+
+test("skips inputs completed by a previous run", async (t) => {
+  const wappalyzer = new Wappalyzer();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "wappalyzer-"));
+  const checkpoint = path.join(dir, "scan.checkpoint");
+
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const inputs = [`${siteUrl}/a`, { id: "snapshot", html }, `${siteUrl}/down`];
+  const options = { checkpoint, helpers: false };
+
+  let items = await collect(wappalyzer.scanMany(inputs, options));
+
+  assert.equal(items.length, 3);
+  assert.deepEqual(
+    (await fs.readFile(checkpoint, "utf8")).trim().split("\n").map((line) => JSON.parse(line)).sort(),
+    [`${siteUrl}/a`, "snapshot"]
+  );
+
+  // Failed inputs are scanned again
+  items = await collect(wappalyzer.scanMany(inputs, options));
+
+  assert.deepEqual(
+    items.map(({ input }) => input),
+    [`${siteUrl}/down`]
+  );
+});
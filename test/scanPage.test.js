@@ -0,0 +1,366 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { Wappalyzer } from "../index.js";
+import { createFrame, createPage, createRequest, createResponse, load } from "./fakePage.js";
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+const technologies = {
+  AcmeWidget: definition({ scriptSrc: "acme-widget\\.js", scripts: "acmeWidget\\.init" }),
+  AcmeApi: definition({ xhr: "api\\.acme\\.test" }),
+  AcmeChat: definition({ html: "acme-chat" }),
+  AcmeCheckout: definition({ js: { "AcmeCheckout.version": "([\\d.]+)\\;version:\\1" } }),
+  AcmeEdge: definition({ headers: { "x-acme-edge": "" } }),
+  AcmeServer: definition({ headers: { server: "^Acme/([\\d.]+)\\;version:\\1" } }),
+  AcmeSession: definition({ cookies: { acme_session: "" } }),
+  AcmeCache: definition({ headers: { "x-acme-cache": "^hit$" } }),
+};
+
+const html = "<html><head></head><body><p>Shop</p></body></html>";
+
+const names = ({ technologies }) => technologies.map(({ name }) => name);
+
+// Recorded bodies are used, nothing is fetched
+const fetch = globalThis.fetch;
+
+before(() => {
+  globalThis.fetch = () => {
+    throw new Error("Unexpected fetch");
+  };
+});
+
+after(() => {
+  globalThis.fetch = fetch;
+});
+
+const setup = async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies(technologies);
+
+  const page = createPage(createFrame("https://shop.test/", html));
+  const detach = wappalyzer.attach(page, { network: true });
+
+  load(page, [{ url: "https://shop.test/", type: "document", navigation: true, body: html }]);
+
+  return { wappalyzer, page, detach };
+};
+
+test("matches script requests against scriptSrc and all requests against xhr", async () => {
+  const { wappalyzer, page } = await setup();
+
+  load(page, [
+    { url: "https://shop.test/images/acme-widget.js.png", type: "image" },
+    { url: "https://api.acme.test/v1/cart", type: "fetch", body: "{}" },
+  ]);
+
+  let result = await wappalyzer.scanPage(page, { helpers: false });
+
+  assert.deepEqual(names(result), ["AcmeApi"]);
+
+  // Injected by a script, so not in the HTML
+  load(page, [
+    { url: "https://cdn.test/acme-widget.js", type: "script", body: "acmeWidget.init()" },
+  ]);
+
+  result = await wappalyzer.scanPage(page, { helpers: false, evidence: true });
+
+  const widget = result.technologies.find(({ name }) => name === "AcmeWidget");
+
+  assert.deepEqual(names(result).sort(), ["AcmeApi", "AcmeWidget"]);
+  assert.deepEqual(widget.evidence.map(({ type }) => type).sort(), ["scriptSrc", "scripts"]);
+});
+
+test("a new navigation of the main frame clears the recorded network", async () => {
+  const { wappalyzer, page } = await setup();
+
+  load(page, [
+    { url: "https://cdn.test/acme-widget.js", type: "script", body: "acmeWidget.init()" },
+    { url: "https://shop.test/other", type: "document", navigation: true, body: html },
+  ]);
+
+  assert.deepEqual(names(await wappalyzer.scanPage(page, { helpers: false })), []);
+});
+
+test("stops recording when detached", async () => {
+  const { wappalyzer, page, detach } = await setup();
+
+  detach();
+
+  assert.equal(page.listenerCount("request"), 0);
+  assert.equal(page.listenerCount("response"), 0);
+
+  load(page, [{ url: "https://api.acme.test/v1/cart", type: "fetch", body: "{}" }]);
+
+  assert.deepEqual(names(await wappalyzer.scanPage(page, { helpers: false })), []);
+});
+
+const sorted = (result) => names(result).sort();
+
+// A page with a chat widget, a checkout, a frame that fails and a detached one
+const setupFrames = async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies(technologies);
+
+  const frames = [
+    createFrame("https://chat.test/", '<html><body><div class="acme-chat"></div></body></html>'),
+    createFrame("https://pay.test/", html, { js: { "AcmeCheckout.version": "2.0" } }),
+    createFrame("https://broken.test/", new Error("Frame navigated away")),
+    createFrame("https://gone.test/", '<div class="acme-chat"></div>', { detached: true }),
+  ];
+  const page = createPage(createFrame("https://shop.test/", html), { frames });
+
+  return { wappalyzer, page, frames };
+};
+
+test("doesn't scan frames by default", async () => {
+  const { wappalyzer, page } = await setupFrames();
+  const result = await wappalyzer.scanPage(page, { helpers: false });
+
+  assert.deepEqual(names(result), []);
+  assert.equal(result.frames, undefined);
+});
+
+test("merges the technologies of frames into the page's", async () => {
+  const { wappalyzer, page } = await setupFrames();
+  const result = await wappalyzer.scanPage(page, { helpers: false, frames: true, debug: true });
+
+  assert.deepEqual(
+    result.technologies.map(({ name, version, frames }) => [name, version, frames]).sort(),
+    [
+      ["AcmeChat", "", ["https://chat.test/"]],
+      ["AcmeCheckout", "2.0", ["https://pay.test/"]],
+    ]
+  );
+  assert.deepEqual(result.frames, [
+    { url: "https://chat.test/", technologies: ["AcmeChat"] },
+    { url: "https://pay.test/", technologies: ["AcmeCheckout"] },
+    { url: "https://broken.test/", error: "Failed to scan frame technologies" },
+  ]);
+  assert.ok(
+    result.performance.errors.some(
+      ({ message, url }) => url === "https://broken.test/" && /navigated away/.test(message)
+    )
+  );
+});
+
+test("lists the technologies of frames separately", async () => {
+  const { wappalyzer, page } = await setupFrames();
+  const result = await wappalyzer.scanPage(page, { helpers: false, frames: "separate" });
+
+  assert.deepEqual(names(result), []);
+  assert.deepEqual(
+    result.frames.map(({ url, technologies, error }) => [
+      url,
+      technologies && names({ technologies }),
+      error,
+    ]),
+    [
+      ["https://chat.test/", ["AcmeChat"], undefined],
+      ["https://pay.test/", ["AcmeCheckout"], undefined],
+      ["https://broken.test/", undefined, "Failed to scan frame technologies"],
+    ]
+  );
+});
+
+test("gives each frame its own requests and navigation response", async () => {
+  const { wappalyzer, page, frames } = await setupFrames();
+  const [chat] = frames;
+
+  wappalyzer.attach(page, { network: true });
+
+  load(page, [
+    { url: "https://shop.test/", type: "document", navigation: true, body: html },
+    {
+      url: "https://chat.test/",
+      type: "document",
+      frame: chat,
+      navigation: true,
+      headers: { "X-Acme-Edge": "1" },
+    },
+    { url: "https://cdn.test/acme-widget.js", type: "script", frame: chat, body: "acmeWidget.init()" },
+    { url: "https://api.acme.test/v1/cart", type: "fetch", body: "{}" },
+  ]);
+
+  const result = await wappalyzer.scanPage(page, { helpers: false, frames: "separate" });
+
+  assert.deepEqual(sorted(result), ["AcmeApi"]);
+  assert.deepEqual(sorted(result.frames[0]), ["AcmeChat", "AcmeEdge", "AcmeWidget"]);
+});
+
+test("rejects unknown frames modes", async () => {
+  const { wappalyzer, page } = await setupFrames();
+
+  await assert.rejects(wappalyzer.scanPage(page, { frames: "all" }), /frames must be/);
+});
+
+// Whether the page re-requested itself for headers
+const refetched = (frame) => frame.evaluated.some((fn) => String(fn).includes("location.href"));
+
+const navigation = {
+  url: "https://shop.test/",
+  status: 200,
+  redirects: [{ url: "http://shop.test/", status: 301 }],
+};
+
+const setupNavigation = async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies(technologies);
+
+  // Headers the page would get by requesting itself again
+  const main = createFrame("https://shop.test/", html, { headers: { server: "Apache" } });
+
+  return { wappalyzer, main, page: createPage(main) };
+};
+
+test("reads headers, cookies and redirects of a Puppeteer response", async () => {
+  const { wappalyzer, main, page } = await setupNavigation();
+
+  const redirect = { url: () => "http://shop.test/", response: () => ({ status: () => 301 }) };
+  const request = createRequest("https://shop.test/", "document", main, {
+    navigation: true,
+    redirects: [redirect],
+  });
+  // Puppeteer joins repeated headers with newlines
+  const response = createResponse(request, {
+    headers: {
+      Server: "Acme/1.2",
+      "set-cookie": "acme_session=1\nlang=en",
+      "x-acme-cache": "miss\nhit",
+    },
+  });
+
+  const result = await wappalyzer.scanPage(page, { helpers: false, response });
+
+  assert.deepEqual(
+    result.technologies.map(({ name, version }) => [name, version]).sort(),
+    [["AcmeCache", ""], ["AcmeServer", "1.2"], ["AcmeSession", ""]]
+  );
+  assert.deepEqual(result.response, navigation);
+  assert.ok(!refetched(main));
+});
+
+test("reads headers, cookies and redirects of a Playwright response", async () => {
+  const { wappalyzer, main, page } = await setupNavigation();
+
+  const redirect = {
+    url: () => "http://shop.test/",
+    response: async () => ({ status: () => 301 }),
+    redirectedFrom: () => null,
+  };
+  const response = {
+    url: () => "https://shop.test/",
+    status: () => 200,
+    headersArray: async () => [
+      { name: "Server", value: "Acme/1.2" },
+      { name: "Set-Cookie", value: "acme_session=1" },
+      { name: "X-Acme-Cache", value: "miss" },
+      { name: "x-acme-cache", value: "hit" },
+    ],
+    request: () => ({ redirectedFrom: () => redirect }),
+  };
+
+  const result = await wappalyzer.scanPage(page, { helpers: false, response });
+
+  assert.deepEqual(sorted(result), ["AcmeCache", "AcmeServer", "AcmeSession"]);
+  assert.deepEqual(result.response, navigation);
+  assert.ok(!refetched(main));
+});
+
+test("uses the navigation response recorded by attach", async () => {
+  const { wappalyzer, main, page } = await setupNavigation();
+
+  wappalyzer.attach(page);
+
+  load(page, [
+    {
+      url: "https://shop.test/",
+      type: "document",
+      navigation: true,
+      headers: { Server: "Acme/1.2" },
+    },
+  ]);
+
+  let result = await wappalyzer.scanPage(page, { helpers: false });
+
+  assert.deepEqual(sorted(result), ["AcmeServer"]);
+  assert.equal(result.response.status, 200);
+
+  // A later navigation replaces it, a frame's doesn't
+  load(page, [
+    { url: "https://chat.test/", type: "document", frame: {}, navigation: true },
+    {
+      url: "https://shop.test/cart",
+      type: "document",
+      navigation: true,
+      headers: { "X-Acme-Cache": "hit" },
+    },
+  ]);
+
+  result = await wappalyzer.scanPage(page, { helpers: false });
+
+  assert.deepEqual(sorted(result), ["AcmeCache"]);
+  assert.equal(result.response.url, "https://shop.test/cart");
+  assert.ok(!refetched(main));
+});
+
+test("re-requests the page for headers without a navigation response", async () => {
+  const { wappalyzer, main, page } = await setupNavigation();
+
+  const result = await wappalyzer.scanPage(page, { helpers: false });
+
+  assert.ok(refetched(main));
+  assert.ok(names(result).includes("Apache HTTP Server"));
+  assert.equal(result.response, undefined);
+});
+
+test("resolves only the chains of fingerprints inside the page", async () => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies(technologies);
+
+  const prototype = { inherited: { version: "9.9" } };
+  const fakeWindow = Object.create(prototype, {
+    AcmeCheckout: { value: { version: "2.0", client: { secret: "not sent" } } },
+    broken: {
+      get() {
+        throw new Error("Getter threw");
+      },
+    },
+  });
+  const asked = [];
+
+  // Runs the function against `fakeWindow`, as the browser would
+  const main = createFrame("https://shop.test/", html);
+  const page = createPage({
+    ...main,
+    evaluate: async (fn, chains) => {
+      if (!Array.isArray(chains)) return {};
+
+      asked.push(...chains);
+      globalThis.window = fakeWindow;
+
+      try {
+        return fn(chains);
+      } finally {
+        delete globalThis.window;
+      }
+    },
+  });
+
+  await wappalyzer.addTechnologies({
+    AcmeBroken: definition({ js: { "broken.version": "" } }),
+    AcmeInherited: definition({ js: { "inherited.version": "" } }),
+  });
+
+  const result = await wappalyzer.scanPage(page, { helpers: false });
+
+  assert.ok(asked.includes("AcmeCheckout.version"));
+  assert.ok(!asked.includes("AcmeCheckout.client"));
+  assert.deepEqual(
+    result.technologies.map(({ name, version }) => [name, version]),
+    [["AcmeCheckout", "2.0"]]
+  );
+});
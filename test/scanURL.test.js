@@ -0,0 +1,125 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { Wappalyzer } from "../index.js";
+
+const listen = (handler) =>
+  new Promise((resolve) => {
+    const server = http.createServer(handler);
+
+    server.listen(0, () => resolve(server));
+  });
+
+const html = '<html><body><div class="acme-widget"></div></body></html>';
+
+let site;
+let other;
+let siteUrl;
+let otherUrl;
+const received = [];
+
+before(async () => {
+  other = await listen((req, res) => {
+    received.push(req.headers.cookie);
+    res.writeHead(200, { "Content-Type": "text/html" }).end(html);
+  });
+  // Another host name for the same machine
+  otherUrl = `http://localhost:${other.address().port}`;
+
+  site = await listen((req, res) => {
+    received.push(req.headers.cookie);
+
+    switch (req.url) {
+      case "/login":
+        return res
+          .writeHead(302, { Location: "/home", "Set-Cookie": "session=secret; Path=/" })
+          .end();
+      case "/home":
+        return res
+          .writeHead(req.headers.cookie === "session=secret" ? 200 : 403, {
+            "Content-Type": "text/html",
+          })
+          .end(html);
+      case "/away":
+        return res
+          .writeHead(302, { Location: `${otherUrl}/`, "Set-Cookie": "session=secret" })
+          .end();
+      case "/loop":
+        return res.writeHead(301, { Location: "/loop" }).end();
+      case "/slow":
+        // Never responds, for timeouts
+        return;
+      case "/endless": {
+        // Never ends, for the size cap
+        const chunk = `<p>${"a".repeat(64 * 1024)}</p>`;
+        const write = () => {
+          while (!res.destroyed && res.write(chunk));
+
+          if (!res.destroyed) res.once("drain", write);
+        };
+
+        res.writeHead(200, { "Content-Type": "text/html" }).write(html);
+
+        return write();
+      }
+      default:
+        return res.writeHead(200, { "Content-Type": "text/html" }).end(html);
+    }
+  });
+  siteUrl = `http://127.0.0.1:${site.address().port}`;
+});
+
+after(() => {
+  site.closeAllConnections();
+  site.close();
+  other.close();
+});
+
+const scan = async (url, opts) => {
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    Acme: { cats: [19], website: "https://example.com", html: "acme-widget" },
+    Session: { cats: [19], website: "https://example.com", cookies: { session: "" } },
+  });
+
+  return wappalyzer.scanURL(url, { helpers: false, assets: { maxFiles: 0 }, ...opts });
+};
+
+test("follows redirects, keeping cookies set along the way", async () => {
+  const { response, technologies } = await scan(`${siteUrl}/login`);
+
+  assert.equal(response.url, `${siteUrl}/home`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.redirects, [{ url: `${siteUrl}/login`, status: 302 }]);
+  assert.deepEqual(technologies.map(({ name }) => name).sort(), ["Acme", "Session"]);
+});
+
+test("doesn't send cookies to other hosts", async () => {
+  received.length = 0;
+
+  const { response } = await scan(`${siteUrl}/away`);
+
+  assert.equal(response.url, `${otherUrl}/`);
+  assert.deepEqual(received, [undefined, undefined]);
+});
+
+test("gives up after maxRedirects", async () => {
+  assert.ok((await scan(`${siteUrl}/loop`, { maxRedirects: 2 })).error);
+});
+
+test("gives up after timeout", async () => {
+  const start = Date.now();
+
+  assert.ok((await scan(`${siteUrl}/slow`, { timeout: 200 })).error);
+  assert.ok(Date.now() - start < 5000);
+});
+
+test("stops reading large documents", async () => {
+  const { technologies } = await scan(`${siteUrl}/endless`, { timeout: 5000 });
+
+  assert.deepEqual(
+    technologies.map(({ name }) => name),
+    ["Acme"]
+  );
+});
@@ -0,0 +1,233 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { Readable } from "node:stream";
+import { Wappalyzer } from "../index.js";
+
+const record = (type, uri, block, contentType = "application/http; msgtype=response") => {
+  const body = Buffer.from(block);
+
+  return Buffer.concat([
+    Buffer.from(
+      `WARC/1.1\r\nWARC-Type: ${type}\r\nWARC-Target-URI: ${uri}\r\n` +
+        `WARC-Date: 2026-01-01T00:00:00Z\r\nContent-Type: ${contentType}\r\n` +
+        `Content-Length: ${body.length}\r\n\r\n`
+    ),
+    body,
+    Buffer.from("\r\n\r\n"),
+  ]);
+};
+
+const response = (status, headers, body = "") =>
+  Buffer.concat([
+    Buffer.from(
+      `HTTP/1.1 ${status} OK\r\n${Object.entries(headers)
+        .map(([name, value]) => `${name}: ${value}\r\n`)
+        .join("")}\r\n`
+    ),
+    Buffer.from(body),
+  ]);
+
+const html =
+  '<html><head><link rel="stylesheet" href="/style.css"><script src="/app.js"></script></head><body></body></html>';
+
+// Assets are captured after the page, and the page body is gzipped
+const records = [
+  record("warcinfo", "", "software: test", "application/warc-fields"),
+  record("request", "http://shop.test/", "GET / HTTP/1.1\r\n\r\n", "application/http; msgtype=request"),
+  record(
+    "response",
+    "http://shop.test/",
+    response(301, { Location: "https://shop.test/", "Set-Cookie": "acme_session=1" })
+  ),
+  record(
+    "response",
+    "<https://shop.test/>",
+    response(
+      200,
+      { "Content-Type": "text/html", "Content-Encoding": "gzip", "X-Acme": "2.1" },
+      zlib.gzipSync(html)
+    )
+  ),
+  record("response", "https://shop.test/style.css", response(200, { "Content-Type": "text/css" }, ".acme-style{}")),
+  record("response", "https://shop.test/logo.png", response(200, { "Content-Type": "image/png" }, "PNG")),
+  record(
+    "response",
+    "https://shop.test/app.js",
+    response(200, { "Content-Type": "application/javascript" }, "acmeScript.init()")
+  ),
+];
+
+const definition = (extra) => ({ cats: [19], website: "https://example.com", ...extra });
+
+const technologies = {
+  AcmeCookie: definition({ cookies: { acme_session: "" } }),
+  AcmeHeader: definition({ headers: { "x-acme": "([\\d.]+)\\;version:\\1" } }),
+  AcmeScript: definition({ scripts: "acmeScript\\.init" }),
+  AcmeStyle: definition({ css: "\\.acme-style" }),
+};
+
+let dir;
+const fetch = globalThis.fetch;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "wappalyzer-"));
+
+  fs.writeFileSync(path.join(dir, "shop.warc"), Buffer.concat(records));
+  // One gzip member per record, as crawlers write them
+  fs.writeFileSync(
+    path.join(dir, "shop.warc.gz"),
+    Buffer.concat(records.map((record) => zlib.gzipSync(record)))
+  );
+
+  // Nothing is fetched
+  globalThis.fetch = () => {
+    throw new Error("Unexpected fetch");
+  };
+});
+
+after(() => {
+  globalThis.fetch = fetch;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const scan = async (input, opts) => {
+  const wappalyzer = new Wappalyzer();
+  const results = [];
+
+  await wappalyzer.addTechnologies(technologies);
+
+  for await (const result of wappalyzer.scanWARC(input, opts)) results.push(result);
+
+  return results;
+};
+
+const summarize = ({ error, response, technologies }) => ({
+  error,
+  response,
+  technologies: technologies
+    ?.filter(({ name }) => name.startsWith("Acme"))
+    .map(({ name, version }) => [name, version])
+    .sort(),
+});
+
+const expected = [
+  {
+    error: undefined,
+    response: {
+      url: "https://shop.test/",
+      status: 200,
+      redirects: [{ url: "http://shop.test/", status: 301 }],
+      date: "2026-01-01T00:00:00Z",
+    },
+    technologies: [
+      ["AcmeCookie", ""],
+      ["AcmeHeader", "2.1"],
+      ["AcmeScript", ""],
+      ["AcmeStyle", ""],
+    ],
+  },
+];
+
+test("scans pages with their redirects and recorded assets", async () => {
+  const results = await scan(path.join(dir, "shop.warc"));
+
+  assert.deepEqual(results.map(summarize), expected);
+});
+
+test("reads gzipped archives, from files and streams", async () => {
+  const gzipped = fs.readFileSync(path.join(dir, "shop.warc.gz"));
+  const chunks = [];
+
+  // Chunks that split records and gzip members
+  for (let offset = 0; offset < gzipped.length; offset += 7) {
+    chunks.push(gzipped.subarray(offset, offset + 7));
+  }
+
+  assert.deepEqual((await scan(path.join(dir, "shop.warc.gz"))).map(summarize), expected);
+  assert.deepEqual((await scan(Readable.from(chunks))).map(summarize), expected);
+});
+
+test("scans pages without the assets missing from the window", async () => {
+  const results = await scan(path.join(dir, "shop.warc"), { window: 1 });
+
+  assert.deepEqual(
+    results.map(summarize)[0].technologies.map(([name]) => name),
+    ["AcmeCookie", "AcmeHeader", "AcmeStyle"]
+  );
+});
+
+test("skips records that aren't HTTP responses or are too large", async () => {
+  const archive = Buffer.concat([
+    record("response", "https://shop.test/broken", "not an HTTP response"),
+    record(
+      "response",
+      "https://shop.test/large",
+      response(200, { "Content-Type": "text/html" }, `<p>${"a".repeat(2000)}</p>`)
+    ),
+    ...records,
+  ]);
+
+  const results = await scan(Readable.from([archive]), { maxRecordSize: 1000 });
+
+  assert.deepEqual(results.map(summarize), expected);
+});
+
+test("throws on archives that can't be read", async () => {
+  await assert.rejects(scan(Readable.from([Buffer.from("garbage\n")])), /Invalid WARC/);
+  await assert.rejects(
+    scan(Readable.from([Buffer.concat(records).subarray(0, -10)])),
+    /Invalid WARC: truncated record/
+  );
+  await assert.rejects(
+    scan(Readable.from([Buffer.from("WARC/1.1\r\nWARC-Type: response\r\n\r\n")])),
+    /Content-Length/
+  );
+  await assert.rejects(scan(5), /input must be a file path or a readable stream/);
+});
+
+// Files open in this process, Linux only
+const openFiles = () =>
+  fs.readdirSync("/proc/self/fd").map((fd) => {
+    try {
+      return fs.readlinkSync(`/proc/self/fd/${fd}`);
+    } catch (error) {
+      return null;
+    }
+  });
+
+test(
+  "closes the file when the consumer stops early",
+  { skip: !fs.existsSync("/proc/self/fd") },
+  async () => {
+    const wappalyzer = new Wappalyzer();
+    // Larger than a read, even gzipped
+    const archive = Buffer.concat(
+      Array.from({ length: 1000 }, () => [
+        ...records,
+        record("response", "https://shop.test/noise", response(200, {}, crypto.randomBytes(1024))),
+      ]).flat()
+    );
+
+    for (const name of ["many.warc", "many.warc.gz"]) {
+      const file = path.join(dir, name);
+
+      fs.writeFileSync(file, name.endsWith(".gz") ? zlib.gzipSync(archive) : archive);
+
+      for await (const result of wappalyzer.scanWARC(file, { window: 1 })) {
+        assert.ok(!result.error);
+        assert.ok(openFiles().includes(file));
+        break;
+      }
+
+      // The file is closed asynchronously
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      assert.ok(!openFiles().includes(file));
+    }
+  }
+);
@@ -0,0 +1,133 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { Wappalyzer } from "../index.js";
+import { createServer } from "../src/server.js";
+
+const listen = (server) =>
+  new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`))
+  );
+
+let fixtures;
+let fixturesUrl;
+let server;
+let serverUrl;
+const received = [];
+
+const post = (path, body, headers = { "Content-Type": "application/json" }) =>
+  fetch(`${serverUrl}${path}`, {
+    method: "POST",
+    headers,
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+
+before(async () => {
+  fixtures = http.createServer((req, res) => {
+    received.push(req.headers);
+
+    // Never responds, for timeouts
+    if (req.url === "/slow") return;
+
+    res
+      .writeHead(200, { "Content-Type": "text/html" })
+      .end('<html><body><div class="acme-widget"></div></body></html>');
+  });
+  fixturesUrl = await listen(fixtures);
+
+  const wappalyzer = new Wappalyzer();
+
+  await wappalyzer.addTechnologies({
+    Acme: { cats: [19], website: "https://example.com", html: "acme-widget" },
+  });
+
+  server = createServer({
+    wappalyzer,
+    maxBodySize: 1024,
+    scanOptions: { timeout: 300, helpers: false, assets: { maxFiles: 0 } },
+  });
+  serverUrl = await listen(server);
+});
+
+after(() => {
+  fixtures.closeAllConnections();
+  fixtures.close();
+  server.close();
+});
+
+test("GET /health", async () => {
+  const response = await fetch(`${serverUrl}/health`);
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).status, "ok");
+});
+
+test("POST /scan/html scans JSON and raw HTML", async () => {
+  const html = '<html><body><div class="acme-widget"></div></body></html>';
+
+  for (const response of [
+    await post("/scan/html", { html, url: "https://example.com/", options: { evidence: true } }),
+    await post("/scan/html?url=https://example.com/", html, { "Content-Type": "text/html" }),
+  ]) {
+    const { technologies } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.ok(technologies.some(({ name }) => name === "Acme"));
+  }
+});
+
+test("POST /scan/url scans a page", async () => {
+  const response = await post("/scan/url", { url: `${fixturesUrl}/` });
+  const { technologies } = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.ok(technologies.some(({ name }) => name === "Acme"));
+});
+
+test("only allowed options are taken from requests", async () => {
+  received.length = 0;
+
+  const response = await post("/scan/url", {
+    url: `${fixturesUrl}/`,
+    options: { headers: { "X-Probe": "1" }, timeout: 60000 },
+  });
+
+  assert.equal(response.status, 200);
+  assert.ok(received.length);
+  assert.ok(received.every((headers) => !("x-probe" in headers)));
+});
+
+test("responds 400 to invalid input", async () => {
+  for (const [path, body] of [
+    ["/scan/html", "{"],
+    ["/scan/html", []],
+    ["/scan/html", { html: "" }],
+    ["/scan/html", { html: "<p>x</p>", options: "evidence" }],
+    ["/scan/url", { url: 1 }],
+  ]) {
+    const response = await post(path, body);
+
+    assert.equal(response.status, 400, `${path} ${JSON.stringify(body)}`);
+    assert.ok((await response.json()).error);
+  }
+});
+
+test("responds 413 to bodies over maxBodySize", async () => {
+  const response = await post("/scan/html", { html: "x".repeat(2048) });
+
+  assert.equal(response.status, 413);
+  assert.match((await response.json()).error, /1024 bytes/);
+});
+
+test("responds 502 when a page times out", async () => {
+  const response = await post("/scan/url", { url: `${fixturesUrl}/slow` });
+
+  assert.equal(response.status, 502);
+  assert.ok((await response.json()).error);
+});
+
+test("responds 404 and 405 to other routes", async () => {
+  assert.equal((await fetch(`${serverUrl}/nope`)).status, 404);
+  assert.equal((await fetch(`${serverUrl}/scan/url`)).status, 405);
+  assert.equal((await fetch(`${serverUrl}/technologies/Acme`)).status, 200);
+});